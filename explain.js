@@ -0,0 +1,299 @@
+/**
+ * Parses the structured score explanations Solr returns in "debug.explain"
+ * into a tree of typed nodes (sum, product, max, weight, score, boost, idf,
+ * tf, param, function and constant). Each node keeps its description and
+ * value, plus the field, terms and parameters that the interface otherwise has
+ * to read back out of the description text. BM25, legacy BM25 and classic
+ * TF-IDF similarities are understood, as are function query boosts (bf and
+ * boost params) and constant score clauses. Nothing here touches the page, so
+ * the parser can be used and tested on its own.
+ */
+'use strict';
+
+const explainParser = (function () {
+
+  // older Lucene versions and other similarities name the same parameters
+  // differently; these are normalized to the names BM25 uses
+  const PARAM_ALIASES = {
+    'docFreq': 'n',
+    'docCount': 'N',
+    'termFreq': 'freq',
+    'phraseFreq': 'freq',
+    'parameter k1': 'k1',
+    'parameter b': 'b',
+    'fieldLength': 'dl',
+    'avgFieldLength': 'avgdl'
+  };
+
+  /**
+   * Parses one explanation from "debug.explain" into a tree of typed nodes.
+   * @param {Object} explanation - the nested description/value/details object
+   * @returns {Object} the typed root node
+   */
+  function parse(explanation) {
+    const node = {
+      type: 'other',
+      description: explanation['description'],
+      value: explanation['value'],
+      children: (explanation['details'] || []).map(parse)
+    };
+    classify(node);
+    return node;
+  }
+
+  /**
+   * Parses every explanation in "debug.explain".
+   * @param {Object} explain - explanations keyed by document id
+   * @returns {Object} the typed root node for each document id
+   */
+  function parseAll(explain) {
+    const trees = {};
+    for (const [key, explanation] of Object.entries(explain)) {
+      trees[key] = parse(explanation);
+    }
+    return trees;
+  }
+
+  /**
+   * Parses an explanation that was flattened into depth/description/value
+   * triples, as saved in allDetails.
+   * @param {Array} details - the triples, in the order they were traversed
+   * @returns {Object} the typed root node
+   */
+  function fromDetails(details) {
+    const root = {description: details[0][1], value: details[0][2], details: []};
+    const parents = [root];
+    for (let i = 1; i < details.length; i++) {
+      const [depth, description, value] = details[i];
+      const explanation = {description, value, details: []};
+      parents[depth - 2]['details'].push(explanation);
+      parents[depth - 1] = explanation;
+    }
+    return parse(root);
+  }
+
+  /**
+   * Sets the type of a node from its description, and pulls out the fields,
+   * terms and parameters for that type.
+   * @param {Object} node - the node to classify
+   */
+  function classify(node) {
+    const description = node.description;
+    let match;
+    if (description.startsWith('sum of')) {
+      node.type = 'sum';
+    } else if (description.startsWith('product of')) {
+      node.type = 'product';
+    } else if ((match = description.match(/^FunctionQuery\((.*)\), product of/))) {
+      // a function added to the score with the bf param
+      node.type = 'function';
+      node.name = match[1].split('(')[0];
+      node.args = match[1];
+      node.label = functionLabel(node.name, match[1]);
+    } else if ((match = description.match(/^ConstantScore\((.*)\)(?:\^([\d.]+))?/))) {
+      node.type = 'constant';
+      node.query = match[1];
+      node.label = `ConstantScore(${match[1]})`;
+    } else if ((match = description.match(/^max (?:plus ([\d.]+) times others )?of/))) {
+      node.type = 'max';
+      node.tieBreaker = match[1] ? parseFloat(match[1]) : 0;
+    } else if ((match = description.match(/^weight\((.*) in (\d+)\)(?: \[(\w+)\])?/))) {
+      node.type = 'weight';
+      node.label = match[1];
+      node.doc = match[2];
+      node.similarity = match[3] || null;
+      Object.assign(node, weightTerms(match[1]));
+    } else if (description.startsWith('score(')) {
+      node.type = 'score';
+      node.params = paramsOf(node);
+    } else if (description === 'boost') {
+      node.type = 'boost';
+    } else if (description.startsWith('idf')) {
+      // classic TF-IDF lists its counts inline, e.g. idf(docFreq=5, docCount=9)
+      node.type = 'idf';
+      node.params = {...inlineParams(description), ...paramsOf(node)};
+    } else if (/^tf(Norm)?\b/.test(description)) {
+      node.type = 'tf';
+      node.params = paramsOf(node);
+    } else if (/^(field|query)Norm\b/.test(description) && node.children.length === 0) {
+      node.type = 'param';
+      node.name = description.match(/^\w+/)[0];
+    } else if (description.endsWith('product of:')) {
+      node.type = 'product';
+    } else if (description.endsWith('sum of:')) {
+      node.type = 'sum';
+    } else if ((match = description.match(/^(\w+)\((.*)\)/))) {
+      // the value of a function, from the bf or boost params or signals
+      node.type = 'function';
+      node.name = match[1];
+      node.args = match[2];
+      node.label = functionLabel(match[1], match[2]);
+    }
+  }
+
+  /**
+   * Names a function by the fields it is computed from, e.g. a recency boost
+   * recip(ms(NOW,date(created_dt)),3.16e-11,1,1) is "recip(created_dt)".
+   * @param {String} name - the outermost function
+   * @param {String} args - everything inside the outermost function
+   * @returns {String} the function name and its fields
+   */
+  function functionLabel(name, args) {
+    const fields = (args.match(/(?<![\w.])[a-zA-Z_][\w.]*(?![\w.(])/g) || [])
+      .filter(field => !['NOW', 'def'].includes(field));
+    return `${name}(${[...new Set(fields)].join(', ')})`;
+  }
+
+  /**
+   * Reads parameters listed in a description, e.g. "idf(docFreq=5, docCount=9)".
+   * @param {String} description - the node description
+   * @returns {Object} parameter values keyed by name
+   */
+  function inlineParams(description) {
+    const params = {};
+    for (const [, name, value] of description.matchAll(/(\w+)=([\d.]+)/g)) {
+      params[PARAM_ALIASES[name] || name] = parseFloat(value);
+    }
+    return params;
+  }
+
+  /**
+   * Splits the body of a weight description into the weighted field and
+   * terms. Synonyms weighted together appear as "Synonym(field:a field:b)".
+   * @param {String} body - e.g. 'product_displayName:"align pant"'
+   * @returns {Object} the field, the first term, and all terms
+   */
+  function weightTerms(body) {
+    body = body.replace(/^Synonym\((.*)\)$/, '$1');
+    const clauses = [...body.matchAll(/([\w.]+):("[^"]*"|[^\s)]+)/g)];
+    if (clauses.length === 0) {
+      return {field: body, term: '', terms: []};
+    }
+    const terms = clauses.map(clause => clause[2]);
+    return {field: clauses[0][1], term: terms[0], terms: terms};
+  }
+
+  /**
+   * Collects the named parameters (e.g. freq, k1, b, n, N) listed under a node,
+   * marking each of those children as a param node.
+   * @param {Object} node - the node with parameter children
+   * @returns {Object} parameter values keyed by name
+   */
+  function paramsOf(node) {
+    const params = {};
+    for (const child of node.children) {
+      if (child.children.length > 0 || !['other', 'param'].includes(child.type)) continue;
+      // e.g. "freq, occurrences of term within document", "termFreq=1.0",
+      // "parameter k1", "avgFieldLength" or "fieldNorm(doc=1)"
+      const name = child.description.split(/[,=(]/)[0].trim();
+      child.type = 'param';
+      child.name = PARAM_ALIASES[name] || name;
+      params[child.name] = child.value;
+    }
+    return params;
+  }
+
+  /**
+   * Finds every node of a type within a tree, in order.
+   * @param {Object} node - the root of the tree to search
+   * @param {String} type - the type of node to find
+   * @param {Array} found - the nodes found so far
+   * @returns {Array} the matching nodes
+   */
+  function findAll(node, type, found = []) {
+    if (node.type === type) {
+      found.push(node);
+    }
+    node.children.forEach(child => findAll(child, type, found));
+    return found;
+  }
+
+  /**
+   * Finds the first node of a type below a node.
+   * @param {Object} node - the node to search under
+   * @param {String} type - the type of node to find
+   * @returns {Object} the first matching node, or undefined if none
+   */
+  function find(node, type) {
+    for (const child of node.children) {
+      if (child.type === type) return child;
+      const found = find(child, type);
+      if (found) return found;
+    }
+  }
+
+  /**
+   * Checks whether a node is the query boost applied from signal aggregations.
+   * @param {Object} node - the node to check
+   * @returns {Boolean} true if the node is a signal boost
+   */
+  function isSignal(node) {
+    return node.type === 'function' && /^(\w+\()?query\(/.test(node.description);
+  }
+
+  /**
+   * Recomputes the score of a tree with some of its boosts and BM25
+   * parameters changed. Subtrees that nothing was changed in keep the value
+   * Solr gave them; the rest are recombined with the semantics of their type.
+   * @param {Object} node - the root of the tree to score
+   * @param {Object} overrides - changes keyed by field, with new boosts keyed
+   *          by the boost they replace, e.g. {name: {boosts: {2: 5}, k1: 1.5, b: 0.5}}
+   * @param {String} field - the field of the enclosing weight node, if any
+   * @returns {Number} the recomputed value of the node
+   */
+  function rescore(node, overrides, field = null) {
+    if (node.type === 'weight') {
+      field = node.field;
+    }
+    const changes = overrides[field] || {};
+    if (node.type === 'boost' && changes.boosts?.[node.value] !== undefined) {
+      return changes.boosts[node.value];
+    }
+    if (node.type === 'tf' && node.params.k1 !== undefined &&
+      (changes.k1 !== undefined || changes.b !== undefined)) {
+      return bm25Tf(node, changes.k1 ?? node.params.k1, changes.b ?? node.params.b);
+    }
+    if (node.children.length === 0) {
+      return node.value;
+    }
+
+    const values = node.children.map(child => rescore(child, overrides, field));
+    if (values.every((value, i) => value === node.children[i].value)) {
+      return node.value;
+    }
+    const sum = values.reduce((total, value) => total + value, 0);
+    const product = values.reduce((total, value) => total * value, 1);
+    if (node.type === 'sum' || node.description.endsWith('sum of:')) {
+      return sum;
+    } else if (node.type === 'max') {
+      const max = Math.max(...values);
+      return max + node.tieBreaker * (sum - max);
+    } else if (['product', 'score', 'function'].includes(node.type) ||
+      node.description.endsWith('product of:') || node.children.length === 1) {
+      return product;
+    }
+    // unknown combinations are assumed to add up their children
+    return node.value + sum - node.children.reduce((total, child) => total + child.value, 0);
+  }
+
+  /**
+   * Computes the BM25 term frequency of a tf node with other k1 and b values.
+   * Legacy BM25 (tfNorm) multiplies the frequency by (k1 + 1).
+   * @param {Object} node - the tf node, with freq, dl and avgdl params
+   * @param {Number} k1 - the term frequency saturation
+   * @param {Number} b - the length normalization
+   * @returns {Number} the term frequency
+   */
+  function bm25Tf(node, k1, b) {
+    const {freq, dl, avgdl} = node.params;
+    const norm = k1 * (1 - b + b * dl / avgdl);
+    const scale = node.description.includes('k1 + 1') ? k1 + 1 : 1;
+    return freq * scale / (freq + norm);
+  }
+
+  return {parse, parseAll, fromDetails, findAll, find, isSignal, rescore};
+})();
+
+if (typeof module !== 'undefined') {
+  module.exports = explainParser;
+}
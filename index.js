@@ -11,23 +11,101 @@
 
   window.addEventListener('load', init);
 
-  // holds current jwt
-  let jwt;
+  // holds current jwt for each api url signed in to
+  const jwts = {};
 
   // api constants
   const PROD_URL = 'https://lululemon.c.lucidworks.cloud';
   const DEV_URL = 'https://lululemon-dev.c.lucidworks.cloud';
-  const APPID = 'LLM_us';
+  const DEFAULT_SETTINGS = {
+    'app': 'LLM_us',
+    'profile': 'LLM_us',
+    'signals': 'LLM_us_Search_signals_aggr',
+    'mm': '50%',
+    'qf': 'query_t',
+    // how result docs map to products and SKUs
+    'idFormat': '{sku}_{product}',
+    'idField': 'id',
+    'productIdField': 'product_id',
+    'skuIdField': 'sku_id',
+    'nameField': 'product_displayName',
+    'sizeField': 'sku_size',
+    'imageField': 'sku_skuImages',
+    'childField': 'style_order_list'
+  };
   let ROW_LIMIT = '40';
   let SKU_LIMIT = '25';
   let SEARCH_START = '0';
 
+  // the most searches kept in the query history
+  const HISTORY_LIMIT = 50;
+
+  // the most requests kept in the request inspector
+  const INSPECTOR_LIMIT = 20;
+
+  // the most signal aggregates to fetch for a search
+  const SIGNAL_ROWS = 100;
+
   let API_URL = '';
 
+  // the fusion app, query profile and signals collection to query, and the
+  // fields results are read from
+  let settings = {...DEFAULT_SETTINGS};
+
   // holds extracted product information from cleaned json files
   let allProducts = {};
   let allDetails = {};
 
+  // the product ids of allProducts in rank order, as an object lists ids that
+  // look like numbers first, in numeric order
+  let productOrder = [];
+
+  // the full doc of each product shown, by product id, for the product detail
+  // panel. kept out of allProducts so it isn't saved to the history or exports
+  let allDocs = {};
+
+  // total number of results found for the search, and the start of the next
+  // page of results to load
+  let numFound = 0;
+  let nextStart = 0;
+
+  // ids of the results that couldn't be matched to a product
+  let unmappedItems = [];
+  let loadingMore = false;
+
+  // counts the times the results are cleared, so a page of results that
+  // arrives after a new search can be told apart and dropped
+  let resultsVersion = 0;
+
+  // holds the second set of results when comparing two queries/environments
+  let compareResults = null;
+
+  // holds the view from a shared link while waiting for sign in
+  let pendingView = null;
+
+  // what-if changes to boosts and BM25 parameters, keyed by field, and the
+  // scores they give each SKU, keyed by the score details of its results
+  let simulation = {};
+  let simulatedScores = new WeakMap();
+
+  // the parsed score tree of each result, keyed by its score details
+  const scoreTrees = new WeakMap();
+
+  // the open query history database
+  let historyDb = null;
+
+  // relevance grades from the judgment file, keyed by query then product id
+  let judgments = {};
+
+  // filter queries chosen from the facets, sent with every query
+  let filterQueries = [];
+
+  // signal aggregates matching the search, grouped by the doc id they boost
+  let signalGroups = {};
+
+  // the latest requests sent to the api and their responses, newest first
+  let exchanges = [];
+
   /**
    * initializes the page upon load. 
    */
@@ -35,6 +113,8 @@
     try {
       // prep login to authenticate new jwt
       prepAPI();
+      prepSettings();
+      prepPresets();
       let auth = qs('#auth form');
       auth.addEventListener('submit', async (e) => {
         e.preventDefault();
@@ -42,6 +122,10 @@
         await authenticateJWT(e);
         auth['username'].value = '';
         auth['password'].value = '';
+        await listSettings();
+        if (pendingView && jwts[API_URL]) {
+          await restoreView();
+        }
       });
       id('signin').addEventListener('click', () => {
         auth.classList.toggle('hidden');
@@ -60,15 +144,148 @@
       qs('#full-signals img').addEventListener('click', () => {
         id('full-signals').classList.add('hidden');
       });
+      qs('#product-detail img').addEventListener('click', () => {
+        id('product-detail').classList.add('hidden');
+      });
 
       // prep searchbar to query api
       id('search-form').addEventListener('submit', async (e) => {
         e.preventDefault();
         await loadPage(e);
       });
+      // prep loading a saved response from a file instead of the api
+      id('file-input').addEventListener('change', async (e) => {
+        await loadFile(e.currentTarget.files[0]);
+        e.target.value = '';
+      });
+      id('items').addEventListener('dragover', (e) => {
+        e.preventDefault();
+        id('items').classList.add('dragging');
+      });
+      id('items').addEventListener('dragleave', () => {
+        id('items').classList.remove('dragging');
+      });
+      id('items').addEventListener('drop', async (e) => {
+        e.preventDefault();
+        id('items').classList.remove('dragging');
+        await loadFile(e.dataTransfer.files[0]);
+      });
+
+      id('inspect').addEventListener('click', () => {
+        id('inspector').classList.toggle('hidden');
+      });
+      qs('#inspector img').addEventListener('click', () => {
+        id('inspector').classList.add('hidden');
+      });
+      id('exchange-select').addEventListener('change', showExchange);
+      id('json-search').addEventListener('input', showExchange);
+
+      id('export-json').addEventListener('click', exportJSON);
+      id('export-csv').addEventListener('click', exportCSV);
+      id('copy-link').addEventListener('click', async () => {
+        await navigator.clipboard.writeText(window.location.href);
+      });
+
+      // restore the view from a shared link
+      window.addEventListener('hashchange', readHash);
+      readHash();
+
+      qs('#app-settings > p').addEventListener('click', () => {
+        qs('#app-settings > div').classList.toggle('hidden');
+      });
+      qsa('#app-settings input').forEach(input => {
+        input.addEventListener('change', saveSettings);
+      });
+      id('app-input').addEventListener('change', listSettings);
+
+      // prep paging through results
+      id('prev-page').addEventListener('click', async (e) => {
+        id('start-index').value = Math.max(0,
+          parseInt(SEARCH_START) - parseInt(ROW_LIMIT));
+        await loadPage(e);
+      });
+      id('next-page').addEventListener('click', async (e) => {
+        id('start-index').value = parseInt(SEARCH_START) + parseInt(ROW_LIMIT);
+        await loadPage(e);
+      });
+      window.addEventListener('scroll', async () => {
+        const bottom = window.innerHeight + window.scrollY;
+        if (id('infinite-scroll').checked && bottom >= document.body.offsetHeight - 600) {
+          await loadMore();
+        }
+      });
+
+      id('sort-by').addEventListener('change', sortDecks);
+      id('sort-reverse').addEventListener('change', sortDecks);
+      id('sort-skus').addEventListener('change', sortDecks);
+
+      id('find-input').addEventListener('input', findInResults);
+      id('find-input').addEventListener('change', () => {
+        const first = qs('#items .title-card.found');
+        if (first) {
+          first.scrollIntoView({behavior: 'smooth', block: 'center'});
+        }
+      });
+
+      // prep the filter builder
+      id('add-condition').addEventListener('click', () => {
+        addCondition();
+        changeConditions();
+      });
+      qsa('#filter-join input, #filter-dim').forEach(input => {
+        input.addEventListener('change', changeConditions);
+      });
+      id('filter-btn').addEventListener('click', filterCards);
+      id('unfilter-btn').addEventListener('click', unfilterCards);
+
+      id('items').addEventListener('change', (e) => {
+        if (e.target.matches('.what-if input')) {
+          changeSimulation(e.target);
+        }
+      });
+      id('reset-simulation').addEventListener('click', resetSimulation);
+
       qs('#search-params > p').addEventListener('click', () => {
         qs('#search-params > div').classList.toggle('hidden');
       });
+      id('compare-mode').addEventListener('change', () => {
+        id('compare-params').classList.toggle('hidden', !id('compare-mode').checked);
+      });
+      id('add-param').addEventListener('click', () => addParamRow());
+      id('preset-select').addEventListener('change', choosePreset);
+      id('save-preset').addEventListener('click', savePreset);
+      id('delete-preset').addEventListener('click', deletePreset);
+
+      qs('#history > p').addEventListener('click', () => {
+        qs('#history > div').classList.toggle('hidden');
+      });
+      id('clear-history').addEventListener('click', clearHistory);
+      await listHistory();
+
+      qs('#suite > p').addEventListener('click', () => {
+        qs('#suite > div').classList.toggle('hidden');
+      });
+      id('suite-input').value = window.localStorage.getItem('regression-suite') || '';
+      id('suite-file').addEventListener('change', async (e) => {
+        id('suite-input').value = await e.currentTarget.files[0].text();
+        e.target.value = '';
+      });
+      id('run-suite').addEventListener('click', runSuite);
+
+      judgments = parseJudgments(window.localStorage.getItem('judgments') || '');
+      id('judgment-file').addEventListener('change', async (e) => {
+        const text = await e.currentTarget.files[0].text();
+        judgments = parseJudgments(text);
+        e.target.value = '';
+        showMetrics();
+        try {
+          window.localStorage.setItem('judgments', text);
+        } catch (err) {
+          console.error('Error saving judgments: ', err);
+          handleError('Error saving judgments, they will be lost on reload: ', err);
+        }
+      });
+      id('metrics-k').addEventListener('change', showMetrics);
     } catch (err) {
       console.error('init ' + err);
     }
@@ -118,6 +335,208 @@
     }
   }
 
+  /**
+   * Get the saved app settings from localstorage and fill in the settings panel.
+   */
+  function prepSettings() {
+    try {
+      let saved = JSON.parse(window.localStorage.getItem("app-settings"));
+      settings = {...DEFAULT_SETTINGS, ...saved};
+    } catch (err) {
+      console.error(err);
+      settings = {...DEFAULT_SETTINGS};
+    }
+    fillSettings();
+  }
+
+  /**
+   * Show the current settings in the settings panel.
+   */
+  function fillSettings() {
+    id('app-input').value = settings['app'];
+    id('profile-input').value = settings['profile'];
+    id('signals-input').value = settings['signals'];
+    id('signals-mm').value = settings['mm'];
+    id('signals-qf').value = settings['qf'];
+    id('id-format').value = settings['idFormat'];
+    id('id-field').value = settings['idField'];
+    id('product-id-field').value = settings['productIdField'];
+    id('sku-id-field').value = settings['skuIdField'];
+    id('name-field').value = settings['nameField'];
+    id('size-field').value = settings['sizeField'];
+    id('image-field').value = settings['imageField'];
+    id('child-field').value = settings['childField'];
+  }
+
+  /**
+   * Save the app, query profile, signals collection and field mapping chosen in
+   * the settings panel to localstorage.
+   */
+  function saveSettings() {
+    settings = {
+      'app': id('app-input').value || DEFAULT_SETTINGS['app'],
+      'profile': id('profile-input').value || DEFAULT_SETTINGS['profile'],
+      'signals': id('signals-input').value || DEFAULT_SETTINGS['signals'],
+      'mm': id('signals-mm').value || DEFAULT_SETTINGS['mm'],
+      'qf': id('signals-qf').value || DEFAULT_SETTINGS['qf'],
+      'idFormat': id('id-format').value || DEFAULT_SETTINGS['idFormat'],
+      'idField': id('id-field').value || DEFAULT_SETTINGS['idField'],
+      'productIdField': id('product-id-field').value || DEFAULT_SETTINGS['productIdField'],
+      'skuIdField': id('sku-id-field').value || DEFAULT_SETTINGS['skuIdField'],
+      'nameField': id('name-field').value || DEFAULT_SETTINGS['nameField'],
+      'sizeField': id('size-field').value || DEFAULT_SETTINGS['sizeField'],
+      'imageField': id('image-field').value || DEFAULT_SETTINGS['imageField'],
+      'childField': id('child-field').value || DEFAULT_SETTINGS['childField']
+    };
+    window.localStorage.setItem("app-settings", JSON.stringify(settings));
+  }
+
+  /**
+   * List the apps available on the selected API, and the query profiles and
+   * signals collections of the chosen app, as options in the settings panel.
+   */
+  async function listSettings() {
+    if (!jwts[API_URL]) return;
+    try {
+      const headers = {
+        'Authorization': `Bearer ${jwts[API_URL]}`
+      };
+      const app = id('app-input').value || settings['app'];
+      const [apps, profiles, collections] = await Promise.all([
+        '/api/apps',
+        `/api/apps/${app}/query-profiles`,
+        `/api/apps/${app}/collections`
+      ].map(async (path) => {
+        let res = await fetch(API_URL + path, { headers });
+        await statusCheck(res);
+        return res.json();
+      }));
+
+      fillOptions('app-options', apps.map(item => [item['id'], item['name']]));
+      fillOptions('profile-options', profiles.map(item =>
+        [item['id'], `pipeline: ${item['queryPipeline']}`]));
+      fillOptions('signals-options', collections
+        .filter(item => item['id'].endsWith('_signals_aggr'))
+        .map(item => [item['id'], item['id']]));
+    } catch (err) {
+      console.error('Error in listSettings: ', err);
+    }
+  }
+
+  /**
+   * Replace the options of a datalist.
+   * @param {String} listId - id of the datalist
+   * @param {Array} options - value and label of each option
+   */
+  function fillOptions(listId, options) {
+    let list = id(listId);
+    list.innerHTML = '';
+    for (const [value, label] of options) {
+      list.append(gen('option', {value: value, label: label}));
+    }
+  }
+
+  /**
+   * Adds a row to the extra request params editor.
+   * @param {String} key - the param name, e.g. "bq" or "lw.pipelineId"
+   * @param {String} value - the param value
+   */
+  function addParamRow(key = '', value = '') {
+    const row = gen('li');
+    const keyInput = gen('input', {type: 'text', value: key, placeholder: 'param',
+      classList: 'param-key'});
+    const valueInput = gen('input', {type: 'text', value: value, placeholder: 'value',
+      classList: 'param-value'});
+    const remove = gen('img', {src: './img/x.png', alt: 'Remove param'});
+    remove.addEventListener('click', () => row.remove());
+    row.append(keyInput, valueInput, remove);
+    id('param-rows').append(row);
+  }
+
+  /**
+   * Reads the extra request params entered in the editor. A param can be
+   * given more than once, e.g. several bq or fq params.
+   * @returns {Array} the [key, value] pair of each row with a param name
+   */
+  function readParams() {
+    return [...qsa('#param-rows li')]
+      .map(row => [row.querySelector('.param-key').value.trim(),
+        row.querySelector('.param-value').value])
+      .filter(([key]) => key);
+  }
+
+  /**
+   * Replaces the rows of the extra request params editor.
+   * @param {Array} params - the [key, value] pairs to show
+   */
+  function fillParams(params) {
+    id('param-rows').innerHTML = '';
+    for (const [key, value] of params) {
+      addParamRow(key, value);
+    }
+  }
+
+  /**
+   * Lists the saved param presets from localstorage as options.
+   * @returns {Object} the [key, value] pairs of each preset, keyed by name
+   */
+  function prepPresets() {
+    let presets = {};
+    try {
+      presets = JSON.parse(window.localStorage.getItem("param-presets")) || {};
+    } catch (err) {
+      console.error(err);
+    }
+    const select = id('preset-select');
+    select.innerHTML = '';
+    select.append(gen('option', {value: '', textContent: 'Saved presets'}));
+    for (const name of Object.keys(presets).sort()) {
+      select.append(gen('option', {value: name, textContent: name}));
+    }
+    return presets;
+  }
+
+  /**
+   * Fills the editor with the params of the chosen preset.
+   */
+  function choosePreset() {
+    const name = id('preset-select').value;
+    const presets = prepPresets();
+    if (presets[name]) {
+      fillParams(presets[name]);
+      id('preset-name').value = name;
+    }
+    id('preset-select').value = name;
+  }
+
+  /**
+   * Saves the params in the editor as a named preset in localstorage.
+   */
+  function savePreset() {
+    const name = id('preset-name').value.trim();
+    if (!name) {
+      handleError('Error saving preset: ', 'enter a name for the preset.');
+      return;
+    }
+    const presets = prepPresets();
+    presets[name] = readParams();
+    window.localStorage.setItem("param-presets", JSON.stringify(presets));
+    prepPresets();
+    id('preset-select').value = name;
+  }
+
+  /**
+   * Deletes the chosen preset from localstorage. The params stay in the editor.
+   */
+  function deletePreset() {
+    const name = id('preset-select').value;
+    const presets = prepPresets();
+    delete presets[name];
+    window.localStorage.setItem("param-presets", JSON.stringify(presets));
+    prepPresets();
+    id('preset-name').value = '';
+  }
+
   /**
    * Shows an informative error message to user when JWT authentication or
    * API query fails.
@@ -166,7 +585,7 @@
       });
       await statusCheck(response);
       const responseJSON = await response.json();
-      jwt = responseJSON['access_token'];
+      jwts[apiUrl] = responseJSON['access_token'];
       const secondsUntilExpiration = parseInt(responseJSON['expires_in']);
 
       id('choose-api').classList.add('hidden');
@@ -192,12 +611,7 @@
    */
   async function loadPage(e) {
     try {
-      // clear page
-      let items = id('items').querySelector('section');
-      if (items) {
-        items.remove();
-      }
-      id('full-signals').classList.add('hidden');
+      clearPage();
 
       // loading animations
       let circle = qs('#options svg');
@@ -206,9 +620,20 @@
       circle2.classList.remove('hidden');
 
       // query data from api, then display on page
-      await queryData(e);
+      const results = await queryData(e);
+      if (results) {
+        setResults(results);
+        nextStart = parseInt(SEARCH_START) + parseInt(ROW_LIMIT);
+        await saveHistory(API_URL, id('searchbar').value, results);
+      }
+      compareResults = null;
+      if (id('compare-mode').checked) {
+        await queryCompare(e);
+        unmappedItems = unmappedItems.concat((compareResults || {})['unmapped'] || []);
+      }
       await displayData();
       await querySignals();
+      updateHash();
       
       // when all data is displayed, remove loading icons
       circle.classList.add('hidden');
@@ -218,37 +643,184 @@
     }
   }
 
+  /**
+   * loads a saved Fusion query response from a JSON file and displays it in
+   * place of querying the api. no sign in is needed.
+   * @param {File} file - the file chosen or dropped by the user
+   */
+  async function loadFile(file) {
+    if (!file) return;
+    try {
+      const data = JSON.parse(await file.text());
+      if (!data['debug'] || !data['debug']['explain']) {
+        throw new Error('the file has no debug.explain section.');
+      }
+      clearPage();
+      id('error').classList.add('hidden');
+      id('search-signals').classList.add('hidden');
+
+      // label the results with the saved query, or the file name without one
+      const params = (data['responseHeader'] || {})['params'] || {};
+      id('searchbar').value = params['q'] || file.name.replace(/\.json$/, '');
+
+      setResults(decomposeSKU(data));
+      nextStart = numFound;     // there are no more pages to load from a file
+      await displayData();
+    } catch (err) {
+      console.error('Error in loadFile: ' + err);
+      handleError('Error loading saved response: ', err);
+    }
+  }
+
+  /**
+   * Replaces the current results, and the facets and parsed query shown for
+   * them. Compared results are dropped.
+   * @param {Object} results - the results as decomposed by decomposeSKU(), or
+   *          as saved in the history, which has no docs or unmapped ids
+   */
+  function setResults(results) {
+    allProducts = results['products'];
+    productOrder = results['order'] || Object.keys(allProducts);
+    allDetails = results['details'];
+    allDocs = results['docs'] || {};
+    numFound = results['numFound'];
+    unmappedItems = results['unmapped'] || [];
+    compareResults = null;
+    showFacets(results['facets'] || {}, results['filters'] || []);
+    showParsedQuery(results['parsedQuery'] || {});
+  }
+
+  /**
+   * queries the next page of results and adds its decks after the decks
+   * already shown. used when scrolling to the bottom of the page in infinite
+   * scroll mode.
+   */
+  async function loadMore() {
+    if (loadingMore || compareResults || nextStart >= numFound) return;
+    loadingMore = true;
+    const version = resultsVersion;
+    let circle = qs('#options svg');
+    let circle2 = id('load-circle');
+    circle.classList.remove('hidden');
+    circle2.classList.remove('hidden');
+    try {
+      const results = await queryData(new Event('submit'), API_URL,
+        id('searchbar').value, nextStart);
+      if (results && version === resultsVersion) {
+        // skip any products already shown on an earlier page
+        const order = results['order'].filter(prodId => !allProducts[prodId]);
+        const products = {};
+        for (const prodId of order) {
+          products[prodId] = results['products'][prodId];
+        }
+        const firstRank = parseInt(SEARCH_START) + productOrder.length + 1;
+        Object.assign(allProducts, products);
+        productOrder = productOrder.concat(order);
+        Object.assign(allDetails, results['details']);
+        Object.assign(allDocs, results['docs']);
+        unmappedItems = unmappedItems.concat(results['unmapped']);
+        await buildDecks(sectionId(id('searchbar').value), products, order, allDetails,
+          allDocs, firstRank);
+        sidebarTitle();
+        showSignalWeights();
+        prepSort();
+        prepFilters();
+        simulate();
+        sortDecks();
+        if (readConditions().length > 0) {
+          filterCards();
+        }
+        findInResults();
+
+        nextStart += parseInt(ROW_LIMIT);
+        if (order.length === 0) {
+          nextStart = numFound;
+        }
+      }
+    } catch (err) {
+      console.error('Error in loadMore: ', err);
+    } finally {
+      loadingMore = false;
+      // a new search shows its own loading icons
+      if (version === resultsVersion) {
+        circle.classList.add('hidden');
+        circle2.classList.add('hidden');
+      }
+    }
+  }
+
+  /**
+   * removes the current results from the page.
+   */
+  function clearPage() {
+    let items = id('items').querySelector('section');
+    if (items) {
+      items.remove();
+    }
+    id('full-signals').classList.add('hidden');
+    id('product-detail').classList.add('hidden');
+    resultsVersion++;
+    signalGroups = {};
+    unmappedItems = [];
+    showUnmapped();
+  }
+
+  /**
+   * Lists the fields to highlight the matched text of: the fields of the qf
+   * param if one is sent, or else the weighted fields of the results shown.
+   * Before any results are shown, every field is highlighted.
+   * @param {Array} params - the extra [key, value] request params
+   * @returns {String} the field names, comma separated
+   */
+  function highlightFields(params) {
+    const qf = params.filter(([key]) => key === 'qf')
+      .flatMap(([, value]) => value.split(/[\s,]+/))
+      .map(field => field.split('^')[0])
+      .filter(field => field);
+    const fields = qf.length > 0 ? new Set(qf) : resultFields();
+    return fields.size > 0 ? [...fields].join(',') : '*';
+  }
+
   /**
    * queries data directly from api.
    * @param {Event} e - the event triggering the query (user/password submit)
+   * @param {String} apiUrl - the api to query. defaults to the selected api
+   * @param {String} search - the search string. defaults to the searchbar
+   * @param {Number} start - index of the first result. defaults to the start
+   *          index parameter
+   * @param {Array} params - extra [key, value] request params. defaults to the
+   *          facet filters and extra params chosen in the sidebar
+   * @param {Boolean} highlight - whether to ask for the matched text of each
+   *          weighted field
+   * @returns {Object} the decomposed products and score details, or undefined
+   *          if the query failed
    */
-  async function queryData(e) {
+  async function queryData(e, apiUrl = API_URL, search = id('searchbar').value,
+      start = id('start-index').value,
+      params = [...filterQueries.map(fq => ['fq', fq]), ...readParams()], highlight = true) {
     e.preventDefault();
     try {
-      let items = id('items').querySelector('section');
-      console.log(items);
-      if (items) {
-        items.remove();
-      }
       // authenticate current jwt by adding it in auth header
       const headers = {
-        'Authorization': `Bearer ${jwt}`
+        'Authorization': `Bearer ${jwts[apiUrl]}`
       };
 
       SEARCH_START = id('start-index').value;
       ROW_LIMIT = id('results-limit').value;
       SKU_LIMIT = id('sku-limit').value;
 
-      // get the search string, query api
-      let search = id('searchbar').value;
+      // query api with the search string
       search = search.split(' ').join('%20');
-      const queryURL = `/api/apps/LLM_us/query/${APPID}?q=${search}&start=${SEARCH_START}&rows=${ROW_LIMIT}&group.limit=${SKU_LIMIT}&debug=results&debug.explain.structured=true`;
-      let res = await fetch(API_URL + queryURL, { headers });
-      await statusCheck(res);
-      res = await res.json();         // this is the new "dirty" data to parse
+      const filters = params.map(([key, value]) => `&${encodeURIComponent(key)}=${encodeURIComponent(value)}`).join('');
+      // highlightSnippet() reads the matched terms from the <em> tags
+      const highlights = highlight ? `&hl=true&hl.fl=${encodeURIComponent(highlightFields(params))}` +
+        '&hl.requireFieldMatch=true&hl.simple.pre=%3Cem%3E&hl.simple.post=%3C%2Fem%3E' : '';
+      const queryURL = `/api/apps/${settings['app']}/query/${settings['profile']}?q=${search}&start=${start}&rows=${ROW_LIMIT}&group.limit=${SKU_LIMIT}&debug=results&debug.explain.structured=true${highlights}${filters}`;
+      // this is the new "dirty" data to parse
+      const res = await inspectedFetch('queryData', apiUrl + queryURL, headers);
       id('error').classList.add('hidden');
       qs('#search-params > div').classList.add('hidden');
-      decomposeSKU(res);
+      return decomposeSKU(res);
     } catch (err) {
       console.error('Error in queryData: ' + err);
       handleError('Error querying API: ', err);
@@ -259,6 +831,28 @@
     }
   }
 
+  /**
+   * Runs the comparison query against the second api and/or search string
+   * chosen in the search parameters. Either one left blank falls back to the
+   * primary api or search.
+   * @param {Event} e - the event triggering the query
+   */
+  async function queryCompare(e) {
+    const apiUrl = id('compare-api').value || API_URL;
+    const search = id('compare-search').value || id('searchbar').value;
+    if (apiUrl === API_URL && search === id('searchbar').value) {
+      handleError('Error comparing results: ',
+        'choose a different API or search string to compare against.');
+      return;
+    }
+    const results = await queryData(e, apiUrl, search);
+    if (results) {
+      compareResults = results;
+      compareResults['label'] = `${apiUrl.split('//').pop()}: "${search}"`;
+      compareResults['search'] = search;
+    }
+  }
+
   /**
    * Check the signals aggregates being used to return query results. Sometimes
    * queries are too specific and don't have their own aggregate; in this case, 
@@ -267,14 +861,14 @@
   async function querySignals() {
     try {
       const headers = {
-        'Authorization': `Bearer ${jwt}`
+        'Authorization': `Bearer ${jwts[API_URL]}`
       };
 
       let search = id('searchbar').value.split(' ').join('%20');
-      const queryURL = `/api/solr/LLM_us_Search_signals_aggr/select?fq=aggr_type_s:"click@doc_id,filters,query"&deftype=edismax&mm=50%25&qf=query_t&fl=query_s,doc_id_s,weight_d,score&q=${search}&group.sort=score`;
-      let res = await fetch(API_URL + queryURL, { headers });
-      await statusCheck(res);
-      res = await res.json();
+      const mm = encodeURIComponent(settings['mm']);
+      const qf = encodeURIComponent(settings['qf']);
+      const queryURL = `/api/solr/${settings['signals']}/select?fq=aggr_type_s:"click@doc_id,filters,query"&deftype=edismax&mm=${mm}&qf=${qf}&fl=query_s,doc_id_s,weight_d,score&q=${search}&rows=${SIGNAL_ROWS}&group.sort=score`;
+      const res = await inspectedFetch('querySignals', API_URL + queryURL, headers);
       displaySignals(res);
     } catch (err) {
       console.error(err);
@@ -282,31 +876,181 @@
   }
 
   /**
-   * Display the terms being used for signal aggregates applied to this search.
+   * Display the terms being used for signal aggregates applied to this search,
+   * and the signal weight of each product in the results.
    * @param {JSON} data - the JSON formatted response from the signals query
    */
   function displaySignals(data) {
-    console.log(data);
+    const docs = data["response"]["docs"];
+    signalGroups = {};
+    for (const doc of docs) {
+      const docId = doc["doc_id_s"] || 'unknown';
+      signalGroups[docId] = signalGroups[docId] || {'weight': 0, 'signals': []};
+      signalGroups[docId]['weight'] += doc["weight_d"] || 0;
+      signalGroups[docId]['signals'].push(doc);
+    }
 
-    const response = data["response"]["docs"].map(term => [term["query_s"], term["score"], term["weight_d"]]);
-    console.log(response);
     const message = id('search-signals');
     const content = message.querySelector('span');
-    content.textContent = `Top signal aggregate score: "${response[0][0]}"`;
+    if (docs.length === 0) {
+      content.textContent = 'No signal aggregates match this search';
+    } else {
+      content.textContent = `Top signal aggregate score: "${docs[0]["query_s"]}"`;
+    }
     message.classList.remove('hidden');
+    showSignalWeights();
+  }
+
+  /**
+   * Finds the product in the results that a signal aggregate's doc id belongs
+   * to. The id can be of the product, or of one of its SKUs, split by the id
+   * format setting.
+   * @param {String} docId - the doc_id_s of the aggregate
+   * @returns {String} the product id, or null if it isn't in the results
+   */
+  function signalProduct(docId) {
+    if (allProducts[docId]) return docId;
+    const prodId = splitId(docId)[1];
+    return allProducts[prodId] ? prodId : null;
+  }
+
+  /**
+   * Adds the signal weight of each product and SKU to its card, flagging the
+   * products without any, and lists the aggregates by doc id in the full
+   * signals panel.
+   */
+  function showSignalWeights() {
+    const weights = {};
+    for (const [docId, group] of Object.entries(signalGroups)) {
+      const prodId = signalProduct(docId);
+      if (prodId) {
+        weights[prodId] = (weights[prodId] || 0) + group['weight'];
+      }
+    }
+
+    const [section] = deckSections()[0] || [];
+    if (section) {
+      for (const title of section.querySelectorAll('.title-card')) {
+        const weight = weights[title.parentElement.classList[0]];
+        signalLabel(title.querySelector('.card-contents'),
+          weight ? `Signal weight: ${parseFloat(weight.toFixed(4))}` : 'No signals');
+        title.classList.toggle('no-signals', !weight);
+      }
+      for (const card of section.querySelectorAll('.product-card:not(.title-card)')) {
+        const group = signalGroups[card.dataset.item];
+        signalLabel(card.querySelector('.card-contents'),
+          group ? `Signal weight: ${parseFloat(group['weight'].toFixed(4))}` : '');
+      }
+    }
 
     const more = qs('#full-signals div ol');
     more.innerHTML = '';
-    for (let i = 0; i < response.length; i++) {
-      let result = gen('li', {textContent: `${response[i][0]}`});
+    const groups = Object.entries(signalGroups).sort((a, b) => b[1]['weight'] - a[1]['weight']);
+    for (const [docId, group] of groups) {
+      const prodId = signalProduct(docId);
+      const name = prodId ? `${allProducts[prodId]['displayName']} (${docId})` :
+        `${docId} (not in results)`;
+      let result = gen('li', {textContent: name});
       let contents = gen('ul');
-      let score = gen('li', {textContent: `score: ${response[i][1]}`});
-      let weight = gen('li', {textContent: `weight: ${response[i][2]}`});
-      contents.append(score, weight);
+      contents.append(gen('li', {textContent: `total weight: ${group['weight']}`}));
+      for (const signal of group['signals']) {
+        contents.append(gen('li', {textContent:
+          `"${signal["query_s"]}": score ${signal["score"]}, weight ${signal["weight_d"]}`}));
+      }
       result.append(contents);
       more.append(result);
     }
+    const missing = inRankOrder(allProducts, productOrder).filter(product => !weights[product['productId']]);
+    if (missing.length > 0) {
+      more.append(gen('li', {classList: 'no-signals', textContent: 'Products without signals: ' +
+        missing.map(product => product['displayName'] || product['productId']).join(', ')}));
+    }
+  }
+
+  /**
+   * Fetches the signal aggregates for a SKU, or for its whole product, from
+   * the signals collection. Only the aggregates whose query matches the search
+   * are fetched, matched the same way as in querySignals, as those are the
+   * ones boosting the SKU for it.
+   * @param {String} itemId - the sku_product id of the SKU
+   * @param {String} search - the current search
+   * @returns {Array} the aggregate docs, best match first
+   */
+  async function querySignalDocs(itemId, search) {
+    const headers = {
+      'Authorization': `Bearer ${jwts[API_URL]}`
+    };
+    const prodId = splitId(itemId)[1];
+    const fq = encodeURIComponent(`doc_id_s:("${itemId}" OR "${prodId}")`);
+    const q = search ? encodeURIComponent(search) : '*:*';
+    const mm = encodeURIComponent(settings['mm']);
+    const qf = encodeURIComponent(settings['qf']);
+    const queryURL = `/api/solr/${settings['signals']}/select?q=${q}&deftype=edismax&mm=${mm}&qf=${qf}&fq=${fq}&fl=query_s,doc_id_s,aggr_type_s,type_s,count_i,weight_d,score&sort=score%20desc,weight_d%20desc&rows=${SIGNAL_ROWS}`;
+    const res = await inspectedFetch('querySignalDocs', API_URL + queryURL, headers);
+    return res["response"]["docs"];
+  }
+
+  /**
+   * Builds a collapsible list of the signal aggregates behind a SKU's signal
+   * boost for the current search, fetched the first time it's opened.
+   * Aggregates for exactly the current search are marked.
+   * @param {String} itemId - the sku_product id of the SKU
+   * @returns {HTMLElement} details element holding the aggregates
+   */
+  function signalAttribution(itemId) {
+    const attribution = gen('details', {classList: 'signal-docs'});
+    attribution.append(gen('summary', {textContent: 'Signal aggregates behind this boost'}));
+    attribution.addEventListener('toggle', async () => {
+      if (!attribution.open || attribution.dataset.loaded) return;
+      attribution.dataset.loaded = true;
+      attribution.querySelectorAll(':scope > p, :scope > ul').forEach(old => old.remove());
+      try {
+        const search = id('searchbar').value.trim();
+        const docs = await querySignalDocs(itemId, search);
+        const list = gen('ul');
+        for (const doc of docs) {
+          const item = gen('li');
+          const query = gen('span', {textContent: `"${doc["query_s"]}"`});
+          if ((doc["query_s"] || '').toLowerCase() === search.toLowerCase()) {
+            item.classList.add('current-query');
+          }
+          const counts = [doc["aggr_type_s"], doc["type_s"],
+            doc["count_i"] !== undefined ? `count ${doc["count_i"]}` : null,
+            `weight ${doc["weight_d"]}`, doc["doc_id_s"]];
+          item.append(query, ` ${counts.filter(count => count).join(', ')}`);
+          list.append(item);
+        }
+        if (docs.length === 0) {
+          list.append(gen('li', {textContent: `No signal aggregates for ${itemId} match "${search}".`}));
+        }
+        attribution.append(list);
+      } catch (err) {
+        console.error('signalAttribution ' + err);
+        delete attribution.dataset.loaded;
+        attribution.append(gen('p', {textContent: `Couldn't load signal aggregates: ${err}`}));
+      }
+    });
+    return attribution;
+  }
 
+  /**
+   * Sets the signal weight shown on a card, removing it if there's no text.
+   * @param {HTMLElement} parent - the element holding the card's details
+   * @param {String} text - the signal weight to show
+   */
+  function signalLabel(parent, text) {
+    let label = parent.querySelector(':scope > .signal-weight');
+    if (!text) {
+      if (label) label.remove();
+      return;
+    }
+    if (!label) {
+      // keep the score details button last on SKU cards
+      label = gen('h2', {classList: 'signal-weight'});
+      const button = parent.querySelector(':scope > button');
+      button ? button.before(label) : parent.append(label);
+    }
+    label.textContent = text;
   }
 
   /*
@@ -316,115 +1060,266 @@
   /**
    * Decomposes the JSON from the original data, extracting useful fields
    * to save for each listed product. Also extracts score details and saves
-   * those breakdowns.
+   * those breakdowns. Results that can't be matched to a doc are left out and
+   * listed as unmapped.
    * @param {Object} data - the JSON data to parse
+   * @returns {Object} the extracted products and score details for each sku,
+   *          the product ids in rank order, the full doc of each product, the
+   *          total number of results found, and the unmapped result ids
    */
   function decomposeSKU(data) {
     const skus = data["debug"]["explain"];
+    const trees = explainParser.parseAll(skus);
+    const docs = responseDocs(data);
     let value;
-    allProducts = {};
-    allDetails = {};
+    const products = {};
+    const order = [];
+    const details = {};
+    const productDocs = {};
+    const unmapped = [];
 
-    Object.keys(skus).forEach(item => {
-      let [skuId, prodId] = item.split('_');
+    Object.keys(skus).sort(docOrder(docs)).forEach(item => {
       value = skus[item].value;
 
       // check if product id already has an object
-      let array = setData(data, prodId, skuId);
-      if (!array) return;
+      const mapped = setData(docs, item);
+      if (!mapped) {
+        unmapped.push(item);
+        return;
+      }
+      const {prodId, skuId} = mapped;
 
-      if (!allProducts[prodId]) {
-        allProducts[prodId] = {
+      if (!products[prodId]) {
+        order.push(prodId);
+        products[prodId] = {
           'productId': prodId,
-          'displayName' : array[0],
-          'size': array[1],
-          'prodImg': array[2],
+          'displayName' : mapped['displayName'],
+          'size': mapped['size'],
+          'prodImg': mapped['prodImg'],
           'skus': {}
         }
+        if (mapped['doc']) {
+          productDocs[prodId] = mapped['doc'];
+        }
       }
-      allProducts[prodId]['skus'][skuId] = {
+      products[prodId]['skus'][skuId] = {
         'skuScore': value, 
-        'skuImg': array[3],
+        'skuImg': mapped['skuImg'],
+        'highlights': (data["highlighting"] || {})[item] || {},
+        'itemId': item
       };
       
       // extract details for every sku_prodid item
-      allDetails[item] = [];
+      details[item] = [];
       // account for the first score not being nested inside a 'details' object
-      allDetails[item].push([1, skus[item]['description'], skus[item]['value']]);
-      traverseDetails(1, item, (skus[item]));
+      details[item].push([1, skus[item]['description'], skus[item]['value']]);
+      traverseDetails(1, details[item], (skus[item]));
+      scoreTrees.set(details[item], trees[item]);
     });
+    const params = (data['responseHeader'] || {})['params'] || {};
+    const debug = data['debug'];
+    return {
+      'products': products,
+      'order': order,
+      'details': details,
+      'docs': productDocs,
+      'numFound': resultCount(data),
+      'unmapped': unmapped,
+      'facets': facetFields(data),
+      'filters': [].concat(params['fq'] || []),
+      'parsedQuery': {
+        'parsedquery': debug['parsedquery'],
+        'parsedquery_toString': debug['parsedquery_toString'],
+        'QParser': debug['QParser']
+      }
+    };
   }
 
   /**
-   * Grabs the image and displayName from "response" "docs" object in the JSON.
-   * Saves these as an array that will later be saved in the "cleaned" data object.
-   * If the full SKU details are listed, additionally save the specific SKU
-   * image.
-   * @param {Object} data - the JSON to parse
-   * @param {String} productId - the productId
-   * @param {String} skuId - the skuId
-   * @returns array of displayname + image for each product
+   * Gives the parsed score tree of a result. Trees are parsed once, when the
+   * response is decomposed; results restored from the history are parsed from
+   * their details the first time they're needed.
+   * @param {Array} details - the result's score details, as saved in allDetails
+   * @returns {Object} the typed root node
    */
-  function setData(data, productId, skuId) {
-    let docs = data["response"]["docs"];
-    
-    // for each product, find details list
-    let item;
-    for (item of docs) {
-      if (item["product_id"] === productId) {
-        let array = [item["product_displayName"],   // object[0]
-            item["sku_size"],                       // object[1]
-            item["sku_skuImages"][0],               // object[2] (prod img)
-          ];
-        let skuslist = item["style_order_list"];
-        for (let i = 0; i < skuslist.length; i++) {
-          if (skuslist[i]["sku_id"] === skuId) {
-            array.push(
-              skuslist[i]["sku_skuImages"][0]       // object[3]
-            );
-            return array;                   // exit early if sku details found
-          }
-        }
-        return array;                       // exit early when item found
-      }
+  function scoreTree(details) {
+    if (!scoreTrees.has(details)) {
+      scoreTrees.set(details, explainParser.fromDetails(details));
     }
+    return scoreTrees.get(details);
   }
 
   /**
-   * Recursive function traverses the nested JSON object containing the score
-   * breakdown for each item. The score value and description are saved into an
-   * array, along with the depth of that score in the nested JSON object. 
-   * @param {Number} depth - the current depth of the nested object
-   * @param {String} prodId - the ID of the product's score being parsed
-   * @param {Object} item - the JSON object being traversed
-   * @returns the array of score depth + description + value for each nested object
+   * Compares results by the position of their docs in the response. The
+   * explain section can't be relied on for the rank order, as its ids that
+   * look like numbers are listed first, in numeric order.
+   * @param {Array} docs - the docs of the response, in rank order
+   * @returns {Function} the compare function, for sorting result ids
    */
-  function traverseDetails(depth, prodId, item) {
-    // for each field in json, check if it's 'details'
-    let object = [];
-    Object.keys(item).forEach(key => {
-      // if details, pull out the score and description
-      if (typeof item[key] === 'object' && item[key] !== null) {
-        // pull out all scores at that depth
-        if (key === 'details'){
-          let short = item["details"];
-          for (let i = 0; i < short.length; i++) {
-            allDetails[prodId].push([depth+1, short[i]["description"], short[i]["value"]]);
-            // then check for more details
-            traverseDetails(depth+1, prodId, short[i]);
-          }
-          // when finished with one object, do the other nested ones too
-          traverseDetails(depth, prodId, item["details"]);
-        }
-      } else {
-        return object;
+  function docOrder(docs) {
+    const positions = {};
+    docs.forEach((doc, i) => {
+      for (const key of [String(doc[settings['idField']]),
+        `product:${doc[settings['productIdField']]}`]) {
+        if (!(key in positions)) positions[key] = i;
       }
     });
+    const position = item => positions[item] ??
+      positions[`product:${splitId(item)[1]}`] ?? docs.length;
+    return (a, b) => position(a) - position(b);
   }
 
-  /*
-    ************** create interface from data **************
-  */
+  /**
+   * Lists products in rank order.
+   * @param {Object} products - the products, by product id
+   * @param {Array} order - the product ids, in rank order
+   * @returns {Array} the products, in rank order
+   */
+  function inRankOrder(products, order) {
+    return order.filter(prodId => products[prodId]).map(prodId => products[prodId]);
+  }
+
+  /**
+   * Lists the docs of a response, whether it's ungrouped ("response") or
+   * grouped by field ("grouped", in the grouped or simple format).
+   * @param {Object} data - the JSON to parse
+   * @returns {Array} every doc returned
+   */
+  function responseDocs(data) {
+    if (data["response"]) {
+      return data["response"]["docs"] || [];
+    }
+    const docs = [];
+    for (const grouping of Object.values(data["grouped"] || {})) {
+      if (grouping["doclist"]) {
+        docs.push(...grouping["doclist"]["docs"]);
+      }
+      for (const group of grouping["groups"] || []) {
+        docs.push(...group["doclist"]["docs"]);
+      }
+    }
+    return docs;
+  }
+
+  /**
+   * Counts the results found, as products when the response is grouped. Only
+   * the groups returned can be counted if group.ngroups wasn't requested.
+   * @param {Object} data - the JSON to parse
+   * @returns {Number} the number of results found
+   */
+  function resultCount(data) {
+    if (data["response"]) {
+      return data["response"]["numFound"];
+    }
+    const grouping = Object.values(data["grouped"] || {})[0] || {};
+    return grouping["ngroups"] ?? (grouping["groups"] || []).length;
+  }
+
+  /**
+   * Splits a result id into its SKU and product ids, following the id format
+   * setting, e.g. "{sku}_{product}". An id that doesn't fit the format is a
+   * product of its own, with itself as its only SKU.
+   * @param {String} itemId - the id of the result
+   * @returns {Array} the sku id and product id
+   */
+  function splitId(itemId) {
+    const pattern = settings['idFormat'].split(/(\{sku\}|\{product\})/)
+      .map(part => part === '{sku}' ? '(?<sku>.+?)' : part === '{product}' ?
+        '(?<product>.+?)' : part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+      .join('');
+    const match = String(itemId).match(new RegExp(`^${pattern}$`));
+    if (!match || !match.groups || !match.groups['product']) {
+      return [String(itemId), String(itemId)];
+    }
+    return [match.groups['sku'] || match.groups['product'], match.groups['product']];
+  }
+
+  /**
+   * Gives the id of the result a product's SKU came from. Results saved before
+   * the id was kept are assumed to be "sku_product".
+   * @param {Object} product - the product the SKU belongs to
+   * @param {String} sku - the SKU id
+   * @returns {String} the result id, as keyed in the score details
+   */
+  function skuItem(product, sku) {
+    return product['skus'][sku]['itemId'] || `${sku}_${product['productId']}`;
+  }
+
+  /**
+   * Finds the doc a result came from among the response's docs, and reads its
+   * name, size and images through the field mapping settings. The result is
+   * matched to the doc with its id, or else to the product's doc; SKU images
+   * come from the SKU's entry in the product's child doc list, if it has one.
+   * @param {Array} docs - the docs of the response
+   * @param {String} item - the id of the result
+   * @returns {Object} the product and sku ids, name, size, images and product
+   *          doc, or null if there's no doc for the result
+   */
+  function setData(docs, item) {
+    const [skuId, prodId] = splitId(item);
+    const doc = docs.find(current => String(current[settings['idField']]) === item);
+    const product = docs.find(current =>
+      String(current[settings['productIdField']]) === prodId) || doc;
+    if (!product) return null;
+
+    const children = [].concat(product[settings['childField']] || []);
+    const child = children.find(current => String(current[settings['skuIdField']]) === skuId);
+    return {
+      'prodId': prodId,
+      'skuId': skuId,
+      'displayName': product[settings['nameField']] ?? prodId,
+      'size': product[settings['sizeField']],
+      'prodImg': firstImage(product),
+      'skuImg': firstImage(child || doc || {}),
+      'doc': product
+    };
+  }
+
+  /**
+   * Reads the first image of a doc from the image field setting, which can
+   * hold a single url or a list of them.
+   * @param {Object} doc - the product or SKU doc
+   * @returns {String} the image url, or undefined if the doc has none
+   */
+  function firstImage(doc) {
+    return [].concat(doc[settings['imageField']] ?? [])[0];
+  }
+
+  /**
+   * Recursive function traverses the nested JSON object containing the score
+   * breakdown for each item. The score value and description are saved into an
+   * array, along with the depth of that score in the nested JSON object. 
+   * @param {Number} depth - the current depth of the nested object
+   * @param {Array} details - the score details saved so far for the product
+   * @param {Object} item - the JSON object being traversed
+   * @returns the array of score depth + description + value for each nested object
+   */
+  function traverseDetails(depth, details, item) {
+    // for each field in json, check if it's 'details'
+    let object = [];
+    Object.keys(item).forEach(key => {
+      // if details, pull out the score and description
+      if (typeof item[key] === 'object' && item[key] !== null) {
+        // pull out all scores at that depth
+        if (key === 'details'){
+          let short = item["details"];
+          for (let i = 0; i < short.length; i++) {
+            details.push([depth+1, short[i]["description"], short[i]["value"]]);
+            // then check for more details
+            traverseDetails(depth+1, details, short[i]);
+          }
+          // when finished with one object, do the other nested ones too
+          traverseDetails(depth, details, item["details"]);
+        }
+      } else {
+        return object;
+      }
+    });
+  }
+
+  /*
+    ************** create interface from data **************
+  */
 
   /**
    * displays the data retrieved from the api. called when queryData() completes
@@ -435,9 +1330,16 @@
       id('items').classList.remove('hidden');
       await buildInterface();
 
-      // enable filtering on boosts
-      id('filter-btn').addEventListener('click', filterCards);
-      id('unfilter-btn').addEventListener('click', unfilterCards);
+      // keep the chosen sort order, filters and what-if changes for the new
+      // results
+      prepSort();
+      prepFilters();
+      simulate();
+      sortDecks();
+      if (readConditions().length > 0) {
+        filterCards();
+      }
+      findInResults();
     } catch (err) {
       console.error('displayData ' + err);
     }
@@ -449,34 +1351,16 @@
   async function buildInterface() {
     try {
       qs('#scores').innerHTML = '';
-      qs('#checklist').innerHTML = '';
-      let search = id('searchbar').value;
-      search = search.split(" ").join("-");
+      let search = sectionId(id('searchbar').value);
 
       // build section within #items to contain decks
       addHeader(search);
 
-      // for each product in file, create card stack
-      for (const product of Object.values(allProducts)) {
-        addProductSection(product, search);
-
-        // for each sku in product, create card with image, score
-        let count = Object.keys(product['skus']).length;
-        for (const [sku, skuData] of Object.entries(product['skus'])) {
-          await addCard(product,              // data
-            skuData['skuScore'],              // value
-            skuData,                          // skudata
-            sku,                              // sku
-            search,                           // section
-            count--);                         // number
-        }
-
-        // create the title card for the front of the stack
-        addProductCard(product['skus'],    // data
-          product['productId'],            // prodid
-          product['displayName'],          // displayname
-          product['prodImg'],              // image
-          search);                         // section
+      if (compareResults) {
+        await buildCompare(search);
+      } else {
+        await buildDecks(search, allProducts, productOrder, allDetails, allDocs,
+          parseInt(SEARCH_START) + 1);
       }
       sidebarTitle();
     } catch (err) {
@@ -484,14 +1368,151 @@
     }
   }
 
+  /**
+   * adds a card stack for each product to a section of the page.
+   * @param {String} search - id of the section to add the decks to
+   * @param {Object} products - the products to build decks for
+   * @param {Array} order - the product ids, in rank order
+   * @param {Object} details - the score details for each sku of the products
+   * @param {Object} docs - the full doc of each product, by product id
+   * @param {Number} rank - the rank of the first product
+   */
+  async function buildDecks(search, products, order, details, docs, rank = 1) {
+    // for each product in file, create card stack
+    for (const product of inRankOrder(products, order)) {
+      addProductSection(product, search);
+
+      // for each sku in product, create card with image, score
+      let count = Object.keys(product['skus']).length;
+      for (const [sku, skuData] of Object.entries(product['skus'])) {
+        await addCard(product,              // data
+          skuData['skuScore'],              // value
+          skuData,                          // skudata
+          sku,                              // sku
+          search,                           // section
+          count--,                          // number
+          details);                         // details
+      }
+
+      // create the title card for the front of the stack
+      addProductCard(product['skus'],    // data
+        product['productId'],            // prodid
+        product['displayName'],          // displayname
+        product['prodImg'],              // image
+        search,                          // section
+        rank++,                          // rank
+        docs[product['productId']]);     // doc
+    }
+  }
+
+  /**
+   * lays the primary and comparison results out side by side, and marks how
+   * each product's rank and score changed between them.
+   * @param {String} search - id of the section holding both columns
+   */
+  async function buildCompare(search) {
+    const section = id(search);
+    section.classList.add('compare');
+    const columns = [
+      [`${search}-base`, compareResults['baseLabel'] ||
+        `${API_URL.split('//').pop()}: "${id('searchbar').value}"`,
+        allProducts, productOrder, allDetails, allDocs],
+      [`${search}-compare`, compareResults['label'], compareResults['products'],
+        compareResults['order'], compareResults['details'], compareResults['docs']]
+    ];
+    for (const [columnId, label, products, order, details, docs] of columns) {
+      addHeader(columnId, section);
+      const column = id(columnId);
+      column.classList.add('compare-column');
+      column.append(gen('h2', {textContent: label, classList: 'compare-label'}));
+      await buildDecks(columnId, products, order, details, docs, parseInt(SEARCH_START) + 1);
+    }
+
+    const deltas = rankDeltas(inRankOrder(allProducts, productOrder),
+      inRankOrder(compareResults['products'], compareResults['order']),
+      parseInt(SEARCH_START) + 1);
+    const totals = {up: 0, down: 0, same: 0, new: 0, out: 0};
+    for (const [prodId, delta] of Object.entries(deltas)) {
+      totals[delta['change']]++;
+      const columnId = delta['change'] === 'out' ? columns[0][0] : columns[1][0];
+      addRankDelta(columnId, prodId, delta);
+    }
+    const summary = gen('p', {classList: 'compare-summary', textContent:
+      `${totals['up']} up, ${totals['down']} down, ${totals['same']} unchanged, ` +
+      `${totals['new']} new, ${totals['out']} dropped`});
+    qs(`#${columns[1][0]} > h2`).after(summary);
+  }
+
+  /**
+   * Compares the rank and maximum score of each product between two sets of
+   * results.
+   * @param {Array} before - the baseline products, in rank order
+   * @param {Array} after - the products to compare, in rank order
+   * @param {Number} firstRank - the rank of the first product in both
+   * @returns {Object} the previous rank, new rank, score change, and kind of
+   *          change ('up', 'down', 'same', 'new' or 'out') for each product id
+   */
+  function rankDeltas(before, after, firstRank = 1) {
+    const beforeIds = before.map(product => product['productId']);
+    const afterIds = after.map(product => product['productId']);
+    const deltas = {};
+    for (const prodId of new Set([...beforeIds, ...afterIds])) {
+      const prevIndex = beforeIds.indexOf(prodId);
+      const index = afterIds.indexOf(prodId);
+      const prevRank = prevIndex < 0 ? 0 : firstRank + prevIndex;
+      const rank = index < 0 ? 0 : firstRank + index;
+      let change = 'same';
+      if (!prevRank) {
+        change = 'new';
+      } else if (!rank) {
+        change = 'out';
+      } else if (rank < prevRank) {
+        change = 'up';
+      } else if (rank > prevRank) {
+        change = 'down';
+      }
+      let scoreDelta = 0;
+      if (prevRank && rank) {
+        scoreDelta = productScores(after[index]['skus'])[1] -
+          productScores(before[prevIndex]['skus'])[1];
+      }
+      deltas[prodId] = {prevRank, rank, scoreDelta, change};
+    }
+    return deltas;
+  }
+
+  /**
+   * Label a product's title card with how its rank and score changed.
+   * @param {String} search - id of the section holding the product's deck
+   * @param {String} productId - ID of product
+   * @param {Object} delta - the product's change, as built by rankDeltas()
+   */
+  function addRankDelta(search, productId, delta) {
+    let text;
+    if (delta['change'] === 'new') {
+      text = `New at rank ${delta['rank']}`;
+    } else if (delta['change'] === 'out') {
+      text = `Dropped from rank ${delta['prevRank']}`;
+    } else {
+      const moved = Math.abs(delta['prevRank'] - delta['rank']);
+      const arrow = {up: '▲', down: '▼', same: '='}[delta['change']];
+      const sign = delta['scoreDelta'] >= 0 ? '+' : '';
+      text = `${arrow} ${moved || ''} rank ${delta['prevRank']} → ${delta['rank']}, ` +
+        `score ${sign}${delta['scoreDelta'].toFixed(4)}`;
+    }
+    const label = gen('h2', {textContent: text, classList: 'rank-delta'});
+    label.classList.add(delta['change']);
+    qs(`#${search} .${CSS.escape(productId)} .title-card .card-contents`).append(label);
+  }
+
 /**
  * Add new section within #items to hold product decks.
  * @param {String} search - the query string
+ * @param {HTMLElement} parent - the element to add the section to
  */
-  function addHeader(search) {
+  function addHeader(search, parent = id("items")) {
     try {
       let section = gen('section', {id: search});
-      let parent = id("items");
       parent.appendChild(section);
     } catch (err) {
       console.error('Error in addHeader: ', err);
@@ -529,12 +1550,19 @@
    * @param {String} displayName - Display name of product
    * @param {String} image - the image of the product
    * @param {String} search - query the item was returned from
+   * @param {Number} rank - the product's position in the results
+   * @param {Object} doc - the product's full document, if it was kept
    */
-  function addProductCard(data, productId, displayName, image, search) {
+  function addProductCard(data, productId, displayName, image, search, rank, doc) {
     try {
       // add product photo
       const photoDiv = gen('div', {classList: 'photo'});
-      const photo = gen('img', {src: image, alt: displayName});
+      const photo = gen('img', {alt: displayName});
+      if (image) {
+        photo.src = image;
+      } else {
+        photoDiv.classList.add('no-image');
+      }
       photoDiv.appendChild(photo);
 
       // add aggregate scores from skus
@@ -542,17 +1570,30 @@
       
       const title = gen('h1', {textContent: displayName, classList: 'card-search'});
       const prodId = gen('h2', {textContent: `ID: ${productId}`});
+      const position = gen('h2', {textContent: `Rank: ${rank}`});
       const max = gen('h2', {textContent: `Score maximum: ${scores[1]}`});
+      position.append(gen('span', {classList: 'simulated'}));
+      max.append(gen('span', {classList: 'simulated'}));
       const count = gen('h2', {textContent: `SKU count: ${scores[0]}`});
 
       const contents = gen('div', {classList: 'card-contents'});
-      contents.append(title, prodId, max, count);
+      contents.append(title, prodId, position, max, count);
+      if (doc) {
+        const more = gen('button', {textContent: 'Product Details', classList: 'detail-button'});
+        more.addEventListener('click', (e) => {
+          // open the details without spreading the deck
+          e.stopPropagation();
+          showProductDetail(doc, Object.keys(data));
+        });
+        contents.append(more);
+      }
 
       const article = gen('article');
       article.classList.add('product-card', 'title-card');
+      article.dataset.rank = rank;
       article.append(photoDiv, contents);
 
-      const prodContainer = qs(`#${search} .${productId}`);
+      const prodContainer = qs(`#${search} .${CSS.escape(productId)}`);
       prodContainer.prepend(article);
 
       article.addEventListener('click', (e) => {
@@ -590,23 +1631,30 @@
    * @param {String} search - the query the product was returned from. used to 
    *                  place the card on the page
    * @param {Number} number - the order of this card in the deck
+   * @param {Object} details - the score details of the results the card is from
    */
-  async function addCard(data, value, skuData, sku, search, number) {
+  async function addCard(data, value, skuData, sku, search, number, details) {
     try {
       // the card that we'll assemble below
       const card = gen('article', {classList: 'product-card'});
+      card.dataset.score = value;
+      card.dataset.order = number;
+      card.dataset.item = skuItem(data, sku);
 
-      const prodContainer = qs(`#${search} .${data['productId']}`);
+      const prodContainer = qs(`#${search} .${CSS.escape(data['productId'])}`);
       prodContainer.prepend(card);
-      const productId = sku + '_' + data['productId'];
+      const productId = skuItem(data, sku);
 
       // add photo
       const photoDiv = gen('div', {classList: 'photo'});
       const photo = gen('img', {alt: data['displayName']});
       if (skuData['skuImg']) {
         photo.src = skuData['skuImg'];
-      } else {
+      } else if (data['prodImg']) {
         photo.src = data['prodImg'];
+      } else {
+        // show the alt text in place of a missing image
+        photoDiv.classList.add('no-image');
       }
       photoDiv.appendChild(photo);
       
@@ -615,15 +1663,17 @@
       const prodId = gen('h2', {textContent: `ID: ${productId}`});
       const order = gen('p', {textContent: number});
       const score = gen('h2', {textContent: `Score: ${value}`});
+      score.append(gen('span', {classList: 'simulated'}));
 
       // score details button + list
       const dropDownButton = gen('button', {textContent: 'SCORE DETAILS', 
         classList: 'collapsible'});
       dropDownButton.textContent = 'SCORE DETAILS';
-      let scores = scoreList(productId, card);
-      const dropDownContainer = scores;
+      const tree = scoreTree(details[productId]);
+      const dropDownContainer = scoreList(productId, tree);
       dropDownContainer.classList.add('hidden');
-      const summary = scoreSummary(scores);
+      const summary = scoreSummary(tree, productId, skuData['highlights']);
+      summary.querySelector('h3 + p').after(scoreChart(tree));
       photoDiv.appendChild(summary);
       
       dropDownButton.addEventListener('click', () => {
@@ -641,6 +1691,7 @@
         // handle score summary on sku card
         photo.classList.toggle('hidden');
         summary.classList.toggle('hidden');
+        expandMatches(dropDownContainer, findTerm());
       });
 
       const contents = gen('div', {classList: 'card-contents'});
@@ -654,35 +1705,27 @@
   /**
    * adds the score breakdown to a card. called from addCard()
    * @param {String} itemId - full SKU_ProductID of the item whose details we need
-   * @param {HTMLElement} card - the card the details are being added to. passed
-   *          in so the boost classes can be applied
+   * @param {Object} tree - the item's parsed score explanation
    * @returns {HTMLElement} completed container element for score dropdown
    */
-  function scoreList(itemId, card) {
+  function scoreList(itemId, tree) {
     const dropDownContainer = gen('article', {id: `${itemId} + -scorelist`});
     dropDownContainer.classList.add('content', 'hidden');
-
-    // find the item we need in allDetails
-    const item = allDetails[itemId];
-    // for each score in item, add to item dropdown
-    for (const score in item) {
-      const drop = createScoreDetail(item[score]);
-      appendScoreDetail(dropDownContainer, drop, item[score]);
-      addBoostClass(card, item[score], drop);
-    }
+    dropDownContainer.appendChild(createScoreDetail(tree, 1));
     return dropDownContainer;
   }
 
   /**
-   * Create a score detail element for the sidebar breakdown.
-   * @param {Array} scoreDetail - array containing score description, value, 
-   *          and depth.
+   * Create a score detail element for the sidebar breakdown, nesting the
+   * elements for each of its components inside it.
+   * @param {Object} node - the parsed score node.
+   * @param {Number} depth - the depth of the node in the score breakdown.
    * @returns {HTMLElement} the score detail element.
    */
-  function createScoreDetail(scoreDetail) {
-    let indent = `indent-${scoreDetail[0]}`;
-    const description = gen('p', {textContent: scoreDetail[1], classList: 'detail-desc'});
-    const value = gen('p', {textContent: scoreDetail[2], classList: 'detail-val'});
+  function createScoreDetail(node, depth) {
+    let indent = `indent-${depth}`;
+    const description = gen('p', {textContent: node.description, classList: 'detail-desc'});
+    const value = gen('p', {textContent: node.value, classList: 'detail-val'});
     
     const div = gen('div');
     const summary = gen('summary');
@@ -690,199 +1733,159 @@
     div.append(description, value);
     summary.appendChild(div);
     drop.appendChild(summary);
+    addScoreClass(node, drop);
 
-    return drop;
-  }
-
-  /**
-   * Append a score detail element to the appropriate parent element.
-   * @param {HTMLElement} dropDownContainer - the parent element to append to.
-   * @param {HTMLElement} drop - tthe score detail element to append.
-   * @param {Array} scoreDetail - array containg score details.
-   */
-  function appendScoreDetail(dropDownContainer, drop, scoreDetail) {
-    const indentLevel = parseInt(scoreDetail[0]);
-    let lastChild = dropDownContainer.querySelectorAll('details');
-    let parent = lastChild[lastChild.length-1];
-
-    if (lastChild.length > 0) {
-      while (parent) {
-        const depth = parseInt(parent.classList.value.split("-")[1]);
-        if (depth < indentLevel - 1) {  // if not deep enough, go deeper
-          lastChild = parent.querySelectorAll('details');
-          parent = lastChild[lastChild.length-1];
-        } else if (depth === indentLevel - 1) {   // if correct depth, append
-          parent.appendChild(drop);
-          return;
-        } else {  // if too deep, reverse
-          parent = parent.parentNode;
-        }
-      }
-    } else {    // if nothing in list yet, add
-      dropDownContainer.appendChild(drop);
+    for (const child of node.children) {
+      drop.appendChild(createScoreDetail(child, depth + 1));
     }
+    return drop;
   }
 
   /**
-   * Add boost classes to the card for filtering purposes.
-   * @param {HTMLElement} card - the card element to add classes to.
-   * @param {Array} scoreDetail - array containing score details.
+   * Add a class to a score detail element naming the type of its score, so
+   * each type can be styled.
+   * @param {Object} node - the parsed score node.
    * @param {HTMLElement} drop - the score detail element.
    */
-  function addBoostClass(card, scoreDetail, drop) {
-    const description = scoreDetail[1];
-    if (description === "boost") {
-      const boostName = getBoostName(drop);
-      const boostClass = `${boostName[0]}-boost-${scoreDetail[2]}`;
-      card.classList.add(boostClass);
-      card.parentElement.classList.add(boostClass);
-      sidebarOption(boostClass, boostName[1]);
+  function addScoreClass(node, drop) {
+    if (node.type === 'boost') {
       drop.classList.add('scoreboost');
-    } else if (description.includes('idf, computed as')) {
-      drop.classList.add('scoreidf')
-    } else if (description.includes('tf, computed as')) {
-      drop.classList.add('scoretf')
-    } else {
-      const baseDescription = description.split('(');
-      if (baseDescription[0] === 'weight') {
-        drop.classList.add('scoreweight');
-      } else if (baseDescription[0] === 'max of:') {
-        drop.classList.add('scoremax');
-      } else if (baseDescription[0] === 'query' || baseDescription[1] === 'query') {
-        drop.classList.add('scorequery');
-      }
+    } else if (node.type === 'idf') {
+      drop.classList.add('scoreidf');
+    } else if (node.type === 'tf') {
+      drop.classList.add('scoretf');
+    } else if (node.type === 'weight') {
+      drop.classList.add('scoreweight');
+    } else if (node.type === 'max') {
+      drop.classList.add('scoremax');
+    } else if (explainParser.isSignal(node)) {
+      drop.classList.add('scorequery');
+    } else if (node.type === 'function') {
+      drop.classList.add('scorefunction');
+    } else if (node.type === 'constant') {
+      drop.classList.add('scoreconstant');
     }
   }
 
   /**
- * Get the boost name from the score detail element.
- * @param {HTMLElement} drop - The score detail element.
- * @returns {String} The boost name.
- */
-  function getBoostName(drop) {
-    try {
-      let context = drop.closest('details.scoreweight');
-      if (context) {
-        context = context.childNodes[0].childNodes[0];
-        let name = context.childNodes[0].textContent;
-        let boostName = (name.split(' ')[0]).split(':')[1];
-        if (boostName[0] === '"') {
-          boostName = (name.split('"')[1]).split(' ').join('-');
-        } else if (boostName === 'true') {
-          boostName = name.split(':')[0].split('_')[1];
-        }
-        return [boostName, name];
-      }
-    } catch (err) {
-      console.error('Error in getBoostName:', err);
+   * Get the boost name from the weight the boost is applied to.
+   * @param {Object} weight - the parsed weight node.
+   * @returns {String} The boost name.
+   */
+  function getBoostName(weight) {
+    let boostName = weight.term;
+    if (boostName[0] === '"') {
+      boostName = boostName.split('"')[1].split(' ').join('-');
+    } else if (boostName === 'true') {
+      boostName = weight.field.split('_')[1];
     }
+    return boostName;
   }
 
   /**
    * pull out the core details of the score breakdown for display on each
    * SKU card.
-   * @param {HTMLElement} list - the existing full score breakdown of nested <details>
-   *          elements.
+   * @param {Object} tree - the parsed score explanation.
+   * @param {String} itemId - the sku_product id of the SKU, to look up the
+   *          signal aggregates behind its signal boost.
+   * @param {Object} highlights - the SKU's highlighted snippets, keyed by field.
    * @returns {HTMLElement} div containing the pared-down list of 
    *           core score details.
    */
-  function scoreSummary(list) {
+  function scoreSummary(tree, itemId = null, highlights = {}) {
     let div = gen('div');
     div.classList.add('hidden', 'content');
     let title = gen('h3', {textContent: 'Score Components'});
     let tooltip = scoreTooltip();
     title.append(tooltip);
 
-    let formula = scoreFormula(list, ' = ');
-    formula = scoreFormulaFormat(formula);
+    let formula = scoreFormula(tree);
     let calculation = gen('p', {textContent: formula});
     div.append(title, calculation);
     
-    // traverse list and look for "max of:" calculations
-    let max = list.querySelectorAll('.scoremax');
-    max.forEach(maxElement => {
-      // set the max value we're looking for in the weights it contains
-      let target = maxElement.querySelector('details > summary > div > p.detail-val').textContent;
-      let weights = maxElement.querySelectorAll('.scoreweight');
-      weights.forEach(weight => {
-        // if the value matches, save this weight for the card summary
-        let val = weight.querySelector('details > summary > div > p.detail-val').textContent;
-        if (val === target) {
-          let copy = weight.cloneNode(true);
-          copy.querySelector('details > summary > div > p.detail-desc').textContent = 
-            copy.querySelector('details > summary > div > p.detail-desc').textContent.split(' [')[0];
-          div.append(scoreRewrite(copy));
-        }
-      });
-    });
-    // check for weights that weren't taken as a maximum
-    let outerWeights = list.querySelectorAll('.scoreweight');
-    outerWeights.forEach(weight => {
-      let indent = weight.classList.value.split('-')[1][0];
-      let parent = (weight.parentNode);
-      let parentText = parent.childNodes[0].childNodes[0].textContent.split(' ')[0];
-      if (indent !== '1' && parentText !== "max") {
-        let copy = weight.cloneNode(true);
-        copy.querySelector('details > summary > div > p.detail-desc').textContent = 
-        copy.querySelector('details > summary > div > p.detail-desc').textContent.split(' [')[0];
-        div.append(scoreRewrite(copy));
-      }
-    });
+    // explain each weight that counts towards the score
+    for (const weight of summaryWeights(tree)) {
+      div.append(scoreRewrite(weight, highlights));
+    }
+    // and each function query or constant score boost
+    for (const boost of summaryBoosts(tree)) {
+      div.append(boostRewrite(boost));
+    }
     // check for the query constant multiplier
-    let query = list.querySelector('.scorequery');
+    let query = [tree, ...allNodes(tree)].find(node => explainParser.isSignal(node));
     if (query) {
-      let copy = query.cloneNode(true);
+      let copy = createScoreDetail(query, 1);
       copy.querySelector('details > summary > div > p.detail-desc').textContent = 'Signal boosting';
+      if (itemId) {
+        copy.append(signalAttribution(itemId));
+      }
       div.append(copy);
     }
     return div; 
   }
 
   /**
-   * Extracts the top-level operations from the score components to show a
-   * simplified calculation on each SKU card's breakdown.
-   * @param {HTMLElement} list - the full score list
-   * @param {String} type - the character to concatenate the operation with
-   * @returns 
-   */
-  function scoreFormula(list, type) {
-    // hunt for "product of" and "sum of" calculations
-    let formula = [];
-    let components = list.querySelectorAll(':scope > details');
-    // console.log(list, components);
-    for (let i = 0; i < components.length; i++) {
-      let description = components[i].querySelector('div > p.detail-desc').textContent;
-      // check if it's a product
-      if (description.includes('product of')) {
-        formula.push(scoreFormula(components[i], '*'));
-      } else if (description.includes('sum of')) {
-        formula.push('(', scoreFormula(components[i], '+'), ')');
-      } else {
-          // if not a sum or a product, just add the value
-          let value = components[i].querySelector('div > p.detail-val').textContent;
-          if (description.includes('weight') && description.length > 100) {
-            formula.push(value, type);
-            formula.push(scoreFormula(components[i], '&'));
-          } else {
-            formula.push(type, value);
-          }
+   * Finds the weights that count towards a score: every weight, except those
+   * under a "max of:" that weren't the maximum.
+   * @param {Object} node - the parsed score node to search
+   * @param {Array} weights - the weights found so far
+   * @returns {Array} the weight nodes
+   */
+  function summaryWeights(node, weights = []) {
+    for (const child of node.children) {
+      if (child.type === 'weight') {
+        if (node.type !== 'max' || child.value === node.value) {
+          weights.push(child);
         }
+      } else {
+        summaryWeights(child, weights);
+      }
+    }
+    return weights;
+  }
+
+  /**
+   * Finds the function query and constant score boosts in a score, other than
+   * signal boosting. Functions nested inside another function are skipped.
+   * @param {Object} node - the parsed score node to search
+   * @param {Array} boosts - the boosts found so far
+   * @returns {Array} the function and constant nodes
+   */
+  function summaryBoosts(node, boosts = []) {
+    for (const child of node.children) {
+      if (explainParser.isSignal(child)) continue;
+      if (child.type === 'function' || child.type === 'constant') {
+        boosts.push(child);
+      } else if (child.type !== 'weight') {
+        summaryBoosts(child, boosts);
       }
-    return formula;
+    }
+    return boosts;
+  }
+
+  /**
+   * Lists every node nested below a parsed score node.
+   * @param {Object} node - the parsed score node
+   * @returns {Array} the nested nodes, in order
+   */
+  function allNodes(node) {
+    return node.children.flatMap(child => [child, ...allNodes(child)]);
   }
 
   /**
-   * Formats the nested array from scoreFormula() into a readable string.
-   * Called from scoreSummary.
-   * @param {Array} formula - the nested array to format
-   * @returns {String} the complete calculation represented as a String
+   * Extracts the top-level operations from the score components to show a
+   * simplified calculation on each SKU card's breakdown.
+   * @param {Object} node - the parsed score node
+   * @returns {String} the calculation, with sums in brackets
    */
-  function scoreFormulaFormat(formula) {
-    formula = formula.flat(Infinity);
-    formula = formula.join(' ');
-    formula = formula.replace('( + ', '(');
-    formula = formula.replace(' )', ')');
-    return formula;
+  function scoreFormula(node) {
+    if (node.type === 'product' && node.children.length > 0) {
+      return node.children.map(scoreFormula).join(' * ');
+    } else if (node.type === 'sum' && node.children.length > 0) {
+      return `(${node.children.map(scoreFormula).join(' + ')})`;
+    }
+    // if not a sum or a product, just add the value
+    return `${node.value}`;
   }
   
   /**
@@ -902,131 +1905,193 @@
   }
 
   /**
-   * Format the score components pulled out of the full list in scoreSummary().
-   * @param {HTMLElement} node - the copy of the score dropdown to further
-   *          explain.
+   * Format a weight pulled out of the score in scoreSummary().
+   * @param {Object} weight - the parsed weight node to further explain.
+   * @param {Object} highlights - the item's highlighted snippets, keyed by field.
    * @returns {HTMLElement} new element consisting of nested details with explanations
    *            for each component of a score.
    */
-  function scoreRewrite(node) {
-    // break apart the copy of the dropdown, create new elements
-    let heading = node.childNodes[0].childNodes[0];
+  function scoreRewrite(weight, highlights = {}) {
+    let heading = gen('div');
+    heading.append(gen('p', {textContent: weight.description.split(' [')[0], classList: 'detail-desc'}),
+      gen('p', {textContent: weight.value, classList: 'detail-val'}));
     let newWeight = gen('details');
     let newSummary = gen('summary');
     newSummary.append(heading);
     newWeight.append(newSummary);
 
-    // split apart the category and term from the weight heading
-    let category = heading.childNodes[0].textContent.split(':');
-    let term = category[1].split(' in')[0];
-
-    // account for the event that several terms (synonyms) are weighted together
-    if (category.length > 2) {
-      let terms = [];
-      for (let i = 1; i < category.length; i++) {
-        terms.push(`${category[i].split(' ')[0].split(')')}`);
-      }
-      term = terms.join(', ');
-      term = term.substring(0, term.length-1);
-      category = category[0].split('(')[2];
-    } else {
-      category = category[0].split('(').slice(1).join('(');
-    }
+    // several terms (synonyms) can be weighted together
+    let category = weight.field;
+    let term = weight.terms.join(', ');
 
     // build the boost, idf, and tf elements
-    let boost = node.querySelector('.scoreboost > summary > div > .detail-val');
+    let boost = explainParser.find(weight, 'boost');
     if (boost) {
       let newBoost = gen('details');
-      let boostSummary = gen('summary', {textContent: `boost = ${boost.textContent}`});
-      newBoost.append(boostSummary);
+      let boostSummary = gen('summary', {textContent: `boost = ${boost.value}`});
+      newBoost.append(boostSummary, whatIf(category, 'boost', boost.value));
       newWeight.append(newBoost);
     }
-    let idf = node.childNodes[1].querySelector('.scoreidf');
-    let newIdf = createIdfDetail(idf, category, term);
-    let tf = node.childNodes[1].querySelector('.scoretf');
-    let newTf = createTfDetail(tf, category, term);
+    let idf = explainParser.find(weight, 'idf');
+    if (idf) {
+      newWeight.append(createIdfDetail(idf, category, term));
+    }
+    let tf = explainParser.find(weight, 'tf');
+    if (tf) {
+      newWeight.append(createTfDetail(tf, category, term));
+    }
+    // the text the term matched in that field, if it was highlighted
+    if (highlights[category]) {
+      newWeight.append(highlightSnippet(category, highlights[category]));
+    }
 
-    newWeight.append(newIdf, newTf);
+    // classic TF-IDF also normalizes by field length and query
+    for (const norm of explainParser.findAll(weight, 'param')) {
+      if (norm.name === 'fieldNorm' || norm.name === 'queryNorm') {
+        let newNorm = gen('details');
+        newNorm.append(gen('summary', {textContent: `${norm.name} = ${norm.value}`}));
+        newWeight.append(newNorm);
+      }
+    }
     return newWeight;
   }
 
+  /**
+   * Shows the highlighted snippets of a field's text. Solr wraps matched terms
+   * in <em> tags; these are rebuilt as mark elements so the rest of the text is
+   * never read as HTML.
+   * @param {String} field - the highlighted field.
+   * @param {Array} snippets - the snippets Solr returned for the field.
+   * @returns {HTMLElement} paragraph of the snippets.
+   */
+  function highlightSnippet(field, snippets) {
+    const snippet = gen('p', {classList: 'highlight'});
+    snippet.append(gen('span', {textContent: `Matched in ${field}: `}));
+    [].concat(snippets).forEach((text, i) => {
+      if (i > 0) snippet.append(' … ');
+      text.split(/<\/?em>/).forEach((part, j) => {
+        snippet.append(j % 2 ? gen('mark', {textContent: part}) : part);
+      });
+    });
+    return snippet;
+  }
+
+  /**
+   * Format a function query or constant score boost pulled out of the score in
+   * scoreSummary().
+   * @param {Object} node - the parsed function or constant node.
+   * @returns {HTMLElement} new element naming the boost and explaining its value.
+   */
+  function boostRewrite(node) {
+    let heading = gen('div');
+    heading.append(gen('p', {textContent: node.label, classList: 'detail-desc'}),
+      gen('p', {textContent: node.value, classList: 'detail-val'}));
+    let newBoost = gen('details', {classList: 'scorefunction'});
+    let newSummary = gen('summary');
+    newSummary.append(heading);
+    newBoost.append(newSummary);
+
+    // the query and arguments come from the explain data, so are only set as text
+    let explain = gen('p');
+    if (node.type === 'constant') {
+      explain.append('Documents matching ', gen('span', {textContent: node.query}),
+        ' all receive the same score of ', gen('span', {textContent: node.value}), '.');
+    } else {
+      let boost = node.children.find(child => child.type === 'boost');
+      explain.append('The function ', gen('span', {textContent: node.name}), ' adds ',
+        gen('span', {textContent: node.value}), ' to the score, computed as ',
+        gen('span', {textContent: node.args}));
+      if (boost) {
+        explain.append(' with a boost of ', gen('span', {textContent: boost.value}));
+      }
+      explain.append('.');
+    }
+    newBoost.append(explain);
+    return newBoost;
+  }
+
   /**
    * Builds a dropdown for the IDF component of a weighted term's score. Called
    * from scoreRewrite().
-   * @param {HTMLElement} idf - the original idf element to break down.
+   * @param {Object} idf - the parsed idf node to break down.
    * @param {String} category - the weighted category.
    * @param {String} term - the weighted term.
    * @returns {HTMLElement} new idf details dropdown.
    */
   function createIdfDetail(idf, category, term) {
     // build the idf element
-    let idfscore = idf.querySelector('div > p.detail-val').textContent;
     let newIdf = gen('details');
-    let idfSummary = gen('summary', {textContent: `idf = ${idfscore}`});
+    let idfSummary = gen('summary', {textContent: `idf = ${idf.value}`});
     newIdf.append(idfSummary);
     
     // check whether idf is a single calculation, or sum of several idfs
-    if (!(idf.childNodes[0].querySelector('div > p.detail-desc').textContent).includes("sum of")) {
-      let smallN = idf.childNodes[1].querySelector('div > p.detail-val').textContent;
-      let bigN = idf.childNodes[2].querySelector('div > p.detail-val').textContent;
-      let idfExplain = gen('p', {innerHTML: `The number of documents searched (N) is \
-        <span>${bigN}</span>, and the number where the field \
-        <span>${category}</span> contains <span>${term}</span> (n) is \
-        <span>${smallN}</span>.`});
-      newIdf.append(idfExplain);
+    let nested = idf.children.filter(child => child.type === 'idf');
+    if (nested.length === 0) {
+      newIdf.append(idfExplain(idf, category, term));
     } else {
       // if idf is a sum, add all to dropdown
       let sumIdf = gen('p', {textContent: 'This idf is a sum of the following:'});
       newIdf.append(sumIdf);
-      for (let i = 1; i < idf.childNodes.length; i++) {
-        let current = idf.childNodes[i];
-        idfscore = current.querySelector('div > p.detail-val').textContent;
+      for (const current of nested) {
         let nestIdf = gen('details');
-        let idfNestSummary = gen('summary', {textContent: `idf = ${idfscore}`});
-
-        let smallN = current.childNodes[1].querySelector('div > p.detail-val').textContent;
-        let bigN = current.childNodes[2].querySelector('div > p.detail-val').textContent;
-        let idfExplain = gen('p', {innerHTML: `The number of documents searched (N) is \
-          <span>${bigN}</span>, and the number where the field \
-          <span>${category}</span> contains <span>${term}</span> (n) is \
-          <span>${smallN}</span>.`});
-
-        nestIdf.append(idfNestSummary, idfExplain);
+        let idfNestSummary = gen('summary', {textContent: `idf = ${current.value}`});
+        nestIdf.append(idfNestSummary, idfExplain(current, category, term));
         newIdf.append(nestIdf);
       }
     }
     return newIdf;
   }
 
+  /**
+   * Explains the document counts an idf is computed from.
+   * @param {Object} idf - the parsed idf node.
+   * @param {String} category - the weighted category.
+   * @param {String} term - the weighted term.
+   * @returns {HTMLElement} paragraph explaining the idf.
+   */
+  function idfExplain(idf, category, term) {
+    const explain = gen('p');
+    explain.append('The number of documents searched (N) is ',
+      gen('span', {textContent: idf.params['N']}), ', and the number where the field ',
+      gen('span', {textContent: category}), ' contains ', gen('span', {textContent: term}),
+      ' (n) is ', gen('span', {textContent: idf.params['n']}), '.');
+    return explain;
+  }
+
   /**
    * Builds a dropdown for the TF component of a weighted term's score. Called
    * from scoreRewrite().
-   * @param {HTMLElement} tf - the original tf element to break down.
+   * @param {Object} tf - the parsed tf node to break down.
    * @param {String} category - the weighted category.
    * @param {String} term - the weighted term.
    * @returns {HTMLElement} new tf details dropdown.
    */
   function createTfDetail(tf, category, term) {
     // pull out the values for each tf score component
-    let tfscore = tf.childNodes[0].querySelector('div > p.detail-val').textContent;
-    let freq = tf.childNodes[1].querySelector('div > p.detail-val').textContent;
-    let k1 = tf.childNodes[2].querySelector('div > p.detail-val').textContent;
-    let b = tf.childNodes[3].querySelector('div > p.detail-val').textContent;
-    let dl = tf.childNodes[4].querySelector('div > p.detail-val').textContent;
-    let avgdl = tf.childNodes[5].querySelector('div > p.detail-val').textContent;
+    let {freq, k1, b, dl, avgdl} = tf.params;
 
     // build the element
     let newTf = gen('details');
-    let tfSummary = gen('summary', {textContent: `tf = ${tfscore}`});
-    let tfExplain = gen('p', 
-      {innerHTML: `The term <span>${term}</span> occurs <span>${freq}</span>\
-      time(s) within the document. Values of <span>${k1}</span> (k1) and\
-      <span>${b}</span> (b) are applied to normalize the result based on expected
-      document relevance and specificity. The length of the <span>${category}</span>\
-      field (dl) is <span>${dl}</span> and the average length of this field (avgdl)\
-      is <span>${avgdl}</span>.`});
+    let tfSummary = gen('summary', {textContent: `tf = ${tf.value}`});
+    let tfExplain = gen('p');
+    tfExplain.append('The term ', gen('span', {textContent: term}), ' occurs ',
+      gen('span', {textContent: freq}), ' time(s) within the document.');
+    if (k1 === undefined) {
+      // classic TF-IDF has no saturation or length normalization parameters
+      tfExplain.append(' Classic TF-IDF uses the square root of this frequency.');
+    } else {
+      tfExplain.append(' Values of ', gen('span', {textContent: k1}), ' (k1) and ',
+        gen('span', {textContent: b}), ' (b) are applied to normalize the result ' +
+        'based on expected document relevance and specificity. The length of the ',
+        gen('span', {textContent: category}), ' field (dl) is ',
+        gen('span', {textContent: dl}), ' and the average length of this field ' +
+        '(avgdl) is ', gen('span', {textContent: avgdl}), '.');
+    }
 
     newTf.append(tfSummary, tfExplain);
+    if (k1 !== undefined) {
+      newTf.append(whatIf(category, 'k1', k1), whatIf(category, 'b', b));
+    }
     return newTf;
   }
 
@@ -1046,6 +2111,7 @@
       spread.nextSibling.classList.remove('spread')
       spread.classList.remove('spread');
       if (spread === section) {
+        updateHash();
         return;
       }
     }
@@ -1054,6 +2120,7 @@
     section.classList.add('spread');
     section.previousSibling.classList.add('spread');
     section.nextSibling.classList.add('spread')
+    updateHash();
 
     // give the spacers a moment to transition
     setTimeout(() => {
@@ -1071,10 +2138,29 @@
     qs("#results-desc > h1").textContent = search;
 
     // show how many products are returned
-    search = search.split(' ').join('-');
-    let count = qsa(`#${search} > section`).length;
+    let count = Object.keys(allProducts).length;
     let span = qs('#results-desc span');
     span.textContent = count;
+    id('num-found').textContent = numFound;
+
+    // only allow paging within the results found
+    id('prev-page').disabled = parseInt(SEARCH_START) <= 0;
+    id('next-page').disabled = parseInt(SEARCH_START) + parseInt(ROW_LIMIT) >= numFound;
+
+    showUnmapped();
+    showMetrics();
+  }
+
+  /**
+   * Warns about the results that couldn't be matched to a product through the
+   * field mapping settings, as they're left off the page.
+   */
+  function showUnmapped() {
+    const warning = id('unmapped');
+    warning.classList.toggle('hidden', unmappedItems.length === 0);
+    warning.textContent = `${unmappedItems.length} result(s) couldn't be matched to ` +
+      `a product and aren't shown; check the field mapping in the app settings: ` +
+      unmappedItems.join(', ');
   }
 
   /**
@@ -1108,84 +2194,1938 @@
     sidebar.appendChild(container);
   }
 
+  /*
+    ************** product details **************
+  */
+
   /**
-   * dynamically add checkboxes to sidebar to filter cards by boost applied
-   * @param {String} boost - the boost to be filtered on
-   * @param {String} title - the full title of the boost
+   * Opens a view of every stored field of a product's document and of each
+   * SKU in its child doc list, with all of their images. Field content can
+   * then be read against the tf and dl numbers in the score breakdown.
+   * @param {Object} doc - the product's doc from the response
+   * @param {Array} scored - the ids of the product's SKUs that were scored
    */
-  function sidebarOption(boost, title) {
-    // check that boost is not already on list
-    if (id(`check-${boost}`)) {
-      return;
+  function showProductDetail(doc, scored) {
+    const skus = [].concat(doc[settings['childField']] || []);
+    const name = doc[settings['nameField']] ?? '';
+    const docId = doc[settings['productIdField']] ?? doc[settings['idField']];
+    qs('#product-detail h2').textContent = name ? `${name} (${docId})` : docId;
+
+    const fields = {...doc};
+    delete fields[settings['childField']];
+    const product = id('product-fields');
+    product.innerHTML = '';
+    product.append(imageGallery(allImages([doc, ...skus]), name), detailTable(fields));
+
+    const list = id('sku-fields');
+    list.innerHTML = '';
+    list.append(gen('h3', {textContent: `SKUs (${skus.length})`}));
+    // SKUs that matched the search are listed first and opened
+    const skuId = sku => sku[settings['skuIdField']];
+    const matched = sku => scored.includes(String(skuId(sku)));
+    for (const sku of [...skus].sort((a, b) => matched(b) - matched(a))) {
+      const details = gen('details');
+      const summary = gen('summary', {textContent: `SKU ${skuId(sku)}`});
+      if (matched(sku)) {
+        summary.append(gen('span', {classList: 'scored', textContent: ' (scored)'}));
+        details.open = true;
+      }
+      details.append(summary, imageGallery(allImages([sku]), skuId(sku)),
+        detailTable(sku));
+      list.append(details);
     }
+    id('product-detail').classList.remove('hidden');
+  }
 
-    // build new checkbox input and label for boost
-    let div = gen('div');
-    let input = gen('input', {type: 'checkbox', id: `check-${boost}`});
-    boost = boost.split("-boost-");
-    boost = boost[0].split('-').join(' ') + ': ' + boost[1];
-    let label = gen('label', {for: input.id, textContent: boost, title: title});
-    div.append(input, label);
-    const parent = id("checklist");
-    parent.appendChild(div);
+  /**
+   * Collects every image listed in some documents, without repeats.
+   * @param {Array} docs - the product and SKU documents
+   * @returns {Array} the image urls
+   */
+  function allImages(docs) {
+    const images = docs.flatMap(doc => [].concat(doc[settings['imageField']] ?? []));
+    return [...new Set(images)];
+  }
 
-    // resize the loading svg to cover all input elements
-    const style = window.getComputedStyle(id('options'));
-    qs('#options > svg').style.height = style.getPropertyValue('height');
+  /**
+   * Builds a gallery of images, with the chosen one shown large above the
+   * rest.
+   * @param {Array} images - the image urls
+   * @param {String} alt - the alt text of the images
+   * @returns {HTMLElement} the gallery, or a note if there are no images
+   */
+  function imageGallery(images, alt) {
+    if (images.length === 0) {
+      return gen('p', {classList: 'no-images', textContent: 'No images'});
+    }
+    const gallery = gen('div', {classList: 'gallery'});
+    const main = gen('img', {src: images[0], alt: alt});
+    const thumbs = gen('div');
+    for (const image of images) {
+      const thumb = gen('img', {src: image, alt: alt});
+      thumb.addEventListener('click', () => {
+        main.src = image;
+      });
+      thumbs.append(thumb);
+    }
+    gallery.append(main, thumbs);
+    return gallery;
   }
 
   /**
-   * filters the displayed cards based on the boost applied to them.
+   * Builds a table of a document's fields, sorted by name. Lists of plain
+   * values are joined; nested objects are shown as a collapsible tree.
+   * @param {Object} fields - the fields of the document
+   * @returns {HTMLElement} the table
    */
-  function filterCards() {
-    let type = qs('input[type=radio]:checked').id;
-    let filters = qsa('#filter input[type=checkbox]:checked');
-    
-    if (type === "exclude") {   
-      // for each selected boost, exclude only cards with that boost
-      for (let i = 0; i < filters.length; i++) {
-        let boost = (filters[i].id).split('-').slice(1).join('-');
-        let cards = qsa(`.${boost}`);
-        for (let i = 0; i < cards.length; i++) {
-          cards[i].classList.add('hide-boost');
-        }
+  function detailTable(fields) {
+    const table = gen('table', {classList: 'detail-fields'});
+    for (const key of Object.keys(fields).sort()) {
+      const value = fields[key];
+      const row = gen('tr');
+      const cell = gen('td');
+      const plain = [].concat(value).every(item => item === null || typeof item !== 'object');
+      if (plain) {
+        cell.textContent = [].concat(value).join(', ');
+      } else {
+        cell.append(jsonTree(key, value));
       }
-    } else {    
-      // for each selected boost, exclude only cards without that boost        
-      for (let i = 0; i < filters.length; i++) {
-        let boost = (filters[i].id).split('-').slice(1).join('-');
-        let cards = qsa(`.product-container:not(.${boost}`);
-        for (let i = 0; i < cards.length; i++) {
-          cards[i].classList.add('hide-boost');
+      row.append(gen('th', {textContent: key}), cell);
+      table.append(row);
+    }
+    return table;
+  }
+
+  /*
+    ************** find in results **************
+  */
+
+  /**
+   * Reads the text entered in the find box.
+   * @returns {String} the lowercase text to find
+   */
+  function findTerm() {
+    return id('find-input').value.trim().toLowerCase();
+  }
+
+  /**
+   * Highlights the SKU cards whose product name, product or SKU id, or score
+   * explanation contains the text in the find box, along with the title cards
+   * of their decks, and opens the matching nodes of their score breakdowns.
+   */
+  function findInResults() {
+    const term = findTerm();
+    for (const found of qsa('#items .found')) {
+      found.classList.remove('found');
+    }
+    let skus = 0;
+    let decks = 0;
+    for (const [section, products, details] of deckSections()) {
+      for (const deck of section.querySelectorAll(':scope > .product-container')) {
+        const product = products[deck.classList[0]];
+        let deckFound = false;
+        for (const card of deck.querySelectorAll(':scope > .product-card:not(.title-card)')) {
+          const item = card.dataset.item;
+          const found = term !== '' && [product && product['displayName'], item,
+            ...(details[item] || []).map(([, description]) => description)]
+            .some(text => String(text || '').toLowerCase().includes(term));
+          card.classList.toggle('found', found);
+          expandMatches(card, found ? term : '');
+          if (found) skus++;
+          deckFound = deckFound || found;
         }
-        // and make sure cards WITH the boost are included
-        cards = qsa(`.${boost}`);
-        for (let i = 0; i < cards.length; i++) {
-          cards[i].classList.remove('hide-boost');
+        if (deckFound) {
+          deck.querySelector(':scope > .title-card').classList.add('found');
+          decks++;
         }
       }
     }
+    // and any full breakdowns already open in the sidebar
+    expandMatches(id('scores'), term);
+    id('find-count').textContent = term ? `${skus} SKUs in ${decks} products` : '';
   }
 
   /**
-   * clears all applied filters and filter selections.
+   * Opens each score detail whose summary contains the text, and the details
+   * it sits within, closing the ones opened for an earlier search.
+   * @param {HTMLElement} root - the element holding the score details
+   * @param {String} term - the lowercase text to find, or '' to find nothing
    */
-  function unfilterCards() {
-    let type = qs('input[type=radio]:checked');
-    type.checked = false;
+  function expandMatches(root, term) {
+    for (const opened of root.querySelectorAll('details[data-found]')) {
+      opened.open = false;
+      delete opened.dataset.found;
+    }
+    for (const summary of root.querySelectorAll('summary.found')) {
+      summary.classList.remove('found');
+    }
+    if (!term) return;
+    for (const details of root.querySelectorAll('details')) {
+      const summary = details.querySelector(':scope > summary');
+      if (!summary || !summary.textContent.toLowerCase().includes(term)) continue;
+      summary.classList.add('found');
+      for (let parent = details.parentElement.closest('details'); parent && root.contains(parent);
+        parent = parent.parentElement.closest('details')) {
+        if (!parent.open) {
+          parent.open = true;
+          parent.dataset.found = true;
+        }
+      }
+    }
+  }
+
+  /*
+    ************** filter builder **************
+  */
 
-    let filters = qsa('#filter input[type=checkbox]:checked');
-    for (let i = 0; i < filters.length; i++) {
-      filters[i].checked = false;
+  /**
+   * lists the boosts found in the results as options for each filter
+   * condition, keeping the boost chosen in each.
+   */
+  function prepFilters() {
+    for (const row of qsa('#conditions li')) {
+      fillConditionOptions(row.querySelector('select'));
     }
 
-    let filter = qsa(`.hide-boost`);
-    for (let i = 0; i < filter.length; i++) {
-      filter[i].classList.remove('hide-boost');
+    // resize the loading svg to cover all input elements
+    const style = window.getComputedStyle(id('options'));
+    qs('#options > svg').style.height = style.getPropertyValue('height');
+  }
+
+  /**
+   * Replaces the options of a condition's dropdown with the score and the
+   * boosts in the results.
+   * @param {HTMLElement} select - the condition's dropdown
+   */
+  function fillConditionOptions(select) {
+    const selected = select.value;
+    select.innerHTML = '';
+    select.append(gen('option', {value: 'score', textContent: 'Score'}));
+    const group = gen('optgroup', {label: 'Boost'});
+    const boosts = resultBoosts();
+    if (selected.startsWith('boost:')) {
+      boosts.add(selected.slice('boost:'.length));
     }
+    for (const name of [...boosts].sort()) {
+      group.append(gen('option', {value: `boost:${name}`, textContent: name}));
+    }
+    select.append(group);
+    select.value = selected || 'score';
   }
 
-  /* ----- Helpers & wrappers ----- */
+  /**
+   * Finds the names of the boosts applied in the results.
+   * @returns {Set} the boost names
+   */
+  function resultBoosts() {
+    const boosts = new Set();
+    const details = compareResults ? {...allDetails, ...compareResults['details']} : allDetails;
+    for (const item of Object.values(details)) {
+      for (const name of Object.keys(weightBoosts(item))) {
+        boosts.add(name);
+      }
+    }
+    return boosts;
+  }
+
+  /**
+   * Finds the fields of the weighted terms in the results.
+   * @returns {Set} the field names
+   */
+  function resultFields() {
+    const fields = new Set();
+    const details = compareResults ? {...allDetails, ...compareResults['details']} : allDetails;
+    for (const item of Object.values(details)) {
+      for (const weight of explainParser.findAll(scoreTree(item), 'weight')) {
+        fields.add(weight.field);
+      }
+    }
+    return fields;
+  }
+
+  /**
+   * Collects the boosts applied to the weighted terms of a result.
+   * @param {Array} details - the score details of the result
+   * @returns {Object} the values of each boost, by boost name
+   */
+  function weightBoosts(details) {
+    const boosts = {};
+    for (const weight of explainParser.findAll(scoreTree(details), 'weight')) {
+      const boost = explainParser.find(weight, 'boost');
+      if (boost) {
+        const name = getBoostName(weight);
+        boosts[name] = [...(boosts[name] || []), boost.value];
+      }
+    }
+    return boosts;
+  }
+
+  /**
+   * Adds a condition to the filter builder.
+   * @param {Object} condition - the condition to show, as read by
+   *          readConditions(). defaults to any score.
+   */
+  function addCondition(condition = {}) {
+    const row = gen('li');
+    const not = gen('input', {type: 'checkbox', checked: !!condition['not']});
+    const notLabel = gen('label', {textContent: ' NOT'});
+    notLabel.prepend(not);
+    const select = gen('select');
+    if (condition['kind'] === 'boost') {
+      select.append(gen('option', {value: `boost:${condition['name']}`}));
+      select.value = `boost:${condition['name']}`;
+    }
+    fillConditionOptions(select);
+    const min = gen('input', {type: 'number', step: 'any', placeholder: 'min',
+      value: condition['min'] ?? '', classList: 'condition-min'});
+    const max = gen('input', {type: 'number', step: 'any', placeholder: 'max',
+      value: condition['max'] ?? '', classList: 'condition-max'});
+    const remove = gen('img', {src: './img/x.png', alt: 'Remove condition'});
+    remove.addEventListener('click', () => {
+      row.remove();
+      changeConditions();
+    });
+    row.append(notLabel, select, min, max, remove);
+    row.addEventListener('change', changeConditions);
+    id('conditions').append(row);
+    showExpression();
+  }
+
+  /**
+   * Reads the conditions entered in the filter builder.
+   * @returns {Array} the not, kind ('score' or 'boost'), boost name, and
+   *          minimum and maximum (or null) of each condition
+   */
+  function readConditions() {
+    return [...qsa('#conditions li')].map(row => {
+      const [kind, name] = row.querySelector('select').value.split(/:(.*)/);
+      const min = parseFloat(row.querySelector('.condition-min').value);
+      const max = parseFloat(row.querySelector('.condition-max').value);
+      return {
+        'not': row.querySelector('input[type=checkbox]').checked,
+        'kind': kind,
+        'name': name || '',
+        'min': isNaN(min) ? null : min,
+        'max': isNaN(max) ? null : max
+      };
+    });
+  }
+
+  /**
+   * Writes the filter as text, e.g. "legging boost ≥ 2 AND NOT score < 5".
+   * @returns {String} the filter expression
+   */
+  function showExpression() {
+    const join = qs('#filter-join input:checked').value.toUpperCase();
+    const expression = readConditions().map(condition => {
+      let text = condition['kind'] === 'boost' ? `${condition['name']} boost` : 'score';
+      if (condition['min'] !== null && condition['max'] !== null) {
+        text += ` between ${condition['min']} and ${condition['max']}`;
+      } else if (condition['min'] !== null) {
+        text += ` ≥ ${condition['min']}`;
+      } else if (condition['max'] !== null) {
+        text += ` ≤ ${condition['max']}`;
+      } else if (condition['kind'] === 'boost') {
+        text += ' applied';
+      }
+      return condition['not'] ? `NOT (${text})` : text;
+    }).join(` ${join} `);
+    id('filter-expression').textContent = expression;
+    return expression;
+  }
+
+  /**
+   * Shows the conditions after one is added, changed or removed, and saves
+   * them to the link so it reproduces the view even before they're applied.
+   */
+  function changeConditions() {
+    showExpression();
+    updateHash();
+  }
+
+  /**
+   * Checks whether a SKU card meets a filter condition.
+   * @param {Object} condition - the condition, as read by readConditions()
+   * @param {Number} score - the SKU's score
+   * @param {Object} boosts - the values of each boost applied to the SKU
+   * @returns {Boolean} true if the SKU meets the condition
+   */
+  function meetsCondition(condition, score, boosts) {
+    const inRange = value => (condition['min'] === null || value >= condition['min']) &&
+      (condition['max'] === null || value <= condition['max']);
+    const met = condition['kind'] === 'score' ?
+      inRange(score) : (boosts[condition['name']] || []).some(inRange);
+    return condition['not'] ? !met : met;
+  }
+
+  /**
+   * filters the displayed cards by the conditions in the filter builder,
+   * combined with AND or OR. SKU cards that don't match are hidden, or dimmed
+   * if chosen, along with the decks with no matching SKU cards.
+   */
+  function filterCards() {
+    const conditions = readConditions();
+    const any = qs('#filter-join input:checked').value === 'or';
+    const hide = id('filter-dim').checked ? 'dim-boost' : 'hide-boost';
+    clearFilterClasses();
+    showExpression();
+    if (conditions.length === 0) {
+      updateHash();
+      return;
+    }
+
+    for (const [section, , details] of deckSections()) {
+      for (const deck of section.querySelectorAll(':scope > .product-container')) {
+        let deckMatches = false;
+        for (const card of deck.querySelectorAll(':scope > .product-card:not(.title-card)')) {
+          const score = parseFloat(card.dataset.simulated ?? card.dataset.score);
+          const item = details[card.dataset.item];
+          const boosts = item ? weightBoosts(item) : {};
+          const results = conditions.map(condition => meetsCondition(condition, score, boosts));
+          const matches = any ? results.some(met => met) : results.every(met => met);
+          if (!matches) {
+            card.classList.add(hide);
+          }
+          deckMatches = deckMatches || matches;
+        }
+        if (!deckMatches) {
+          deck.classList.add(hide);
+        }
+      }
+    }
+    updateHash();
+  }
+
+  /**
+   * Shows every card again, without changing the conditions.
+   */
+  function clearFilterClasses() {
+    for (const card of qsa('.hide-boost, .dim-boost')) {
+      card.classList.remove('hide-boost', 'dim-boost');
+    }
+  }
+
+  /**
+   * clears all applied filters and filter conditions.
+   */
+  function unfilterCards() {
+    id('conditions').innerHTML = '';
+    qs('#filter-join input[value=and]').checked = true;
+    id('filter-dim').checked = false;
+    clearFilterClasses();
+    showExpression();
+    updateHash();
+  }
+
+  /*
+    ************** sort decks **************
+  */
+
+  /**
+   * lists the boosts and weighted fields found in the results as options to
+   * sort the decks by.
+   */
+  function prepSort() {
+    const boosts = resultBoosts();
+    const fields = resultFields();
+
+    const selected = id('sort-by').value;
+    fillSortOptions('sort-boosts', 'boost', boosts);
+    fillSortOptions('sort-fields', 'field', fields);
+    id('sort-by').value = selected;
+    if (!id('sort-by').value) {
+      id('sort-by').value = 'rank';
+    }
+  }
+
+  /**
+   * Replace the sort options in a group of the sort dropdown.
+   * @param {String} groupId - id of the optgroup
+   * @param {String} type - prefix of the option values, 'boost' or 'field'
+   * @param {Set} names - the boost or field names
+   */
+  function fillSortOptions(groupId, type, names) {
+    let group = id(groupId);
+    group.innerHTML = '';
+    for (const name of [...names].sort()) {
+      group.append(gen('option', {value: `${type}:${name}`, textContent: name}));
+    }
+  }
+
+  /**
+   * reorders the decks on the page by the chosen sort, and the SKU cards within
+   * each deck by score if chosen. the original rank of each product is kept
+   * on its title card.
+   */
+  function sortDecks() {
+    const sort = id('sort-by').value;
+    const reverse = id('sort-reverse').checked;
+    for (const [section, products, details, order] of deckSections()) {
+      const values = {};
+      inRankOrder(products, order).forEach((product, i) => {
+        values[product['productId']] = sortValue(product, details, sort, i);
+      });
+      const sorted = order.filter(prodId => prodId in values).sort((a, b) => {
+        const compared = typeof values[a] === 'string' ?
+          values[a].localeCompare(values[b]) : values[a] - values[b];
+        return reverse ? -compared : compared;
+      });
+      for (const prodId of sorted) {
+        const deck = section.querySelector(`:scope > .${CSS.escape(prodId)}`);
+        if (deck) {
+          // move the deck along with its spacers
+          section.append(deck.previousSibling, deck, deck.nextSibling);
+        }
+      }
+    }
+    sortCards();
+  }
+
+  /**
+   * Lists each section of decks on the page with the results it shows.
+   * @returns {Array} the section element, products, score details and product
+   *          order of each
+   */
+  function deckSections() {
+    const search = sectionId(id('searchbar').value);
+    if (compareResults) {
+      return [
+        [id(`${search}-base`), allProducts, allDetails, productOrder],
+        [id(`${search}-compare`), compareResults['products'], compareResults['details'],
+          compareResults['order']]
+      ].filter(([section]) => section);
+    }
+    return id(search) ? [[id(search), allProducts, allDetails, productOrder]] : [];
+  }
+
+  /**
+   * Finds the value to sort a product by. numbers sort ascending, so values
+   * where higher should come first are negated.
+   * @param {Object} product - the product to sort
+   * @param {Object} details - the score details of the product's results
+   * @param {String} sort - 'rank', 'score', 'count', 'name', 'boost:<name>' or
+   *          'field:<field>'
+   * @param {Number} rank - the product's position in the results
+   * @returns {Number|String} the value to sort by
+   */
+  function sortValue(product, details, sort, rank) {
+    const [type, name] = sort.split(/:(.*)/);
+    if (type === 'score' || (type === 'rank' && simulatedScores.has(details))) {
+      // what-if changes re-rank the products by their new scores
+      return -simulatedMax(product, details);
+    } else if (type === 'count') {
+      return -productScores(product['skus'])[0];
+    } else if (type === 'name') {
+      return product['displayName'] || '';
+    } else if (type === 'boost' || type === 'field') {
+      // use the highest value among the product's SKUs
+      let max = 0;
+      for (const sku of Object.keys(product['skus'])) {
+        const item = details[skuItem(product, sku)];
+        if (!item) continue;
+        let value = 0;
+        if (type === 'boost') {
+          value = Math.max(value, ...(weightBoosts(item)[name] || []));
+        } else {
+          for (const weight of explainParser.findAll(scoreTree(item), 'weight')) {
+            if (weight.field === name) value += weight.value;
+          }
+        }
+        max = Math.max(max, value);
+      }
+      return -max;
+    }
+    return rank;
+  }
+
+  /**
+   * orders the SKU cards within each deck by score if chosen, otherwise by
+   * their original order.
+   */
+  function sortCards() {
+    const byScore = id('sort-skus').checked;
+    for (const deck of qsa('.product-container')) {
+      const cards = [...deck.querySelectorAll(':scope > .product-card:not(.title-card)')];
+      cards.sort((a, b) => (byScore ?
+        (b.dataset.simulated ?? b.dataset.score) - (a.dataset.simulated ?? a.dataset.score) :
+        a.dataset.order - b.dataset.order));
+      deck.append(...cards);
+    }
+  }
+
+  /*
+    ************** what-if simulator **************
+  */
+
+  /**
+   * Builds an input for trying out another value of a boost or BM25 parameter
+   * in the score breakdown.
+   * @param {String} field - the field the value applies to
+   * @param {String} param - 'boost', 'k1' or 'b'
+   * @param {Number} value - the value Solr used
+   * @returns {HTMLElement} the labelled input
+   */
+  function whatIf(field, param, value) {
+    const changes = simulation[field] || {};
+    const current = param === 'boost' ? changes['boosts']?.[value] : changes[param];
+    const label = gen('label', {classList: 'what-if', textContent: `What if ${param} = `});
+    const input = gen('input', {type: 'number', step: 'any', value: current ?? value});
+    input.dataset.field = field;
+    input.dataset.param = param;
+    input.dataset.original = value;
+    label.append(input);
+    return label;
+  }
+
+  /**
+   * Saves a what-if value entered in a score breakdown, copies it to the same
+   * input on every other card, then rescores and re-ranks the results.
+   * @param {HTMLElement} input - the changed what-if input
+   */
+  function changeSimulation(input) {
+    const {field, param, original} = input.dataset;
+    const value = parseFloat(input.value);
+    const changes = simulation[field] || {boosts: {}};
+    const unchanged = isNaN(value) || value === parseFloat(original);
+    // boosts are replaced by value, as one field can be boosted more than once
+    const target = param === 'boost' ? changes['boosts'] : changes;
+    const key = param === 'boost' ? original : param;
+    if (unchanged) {
+      delete target[key];
+    } else {
+      target[key] = value;
+    }
+    simulation[field] = changes;
+    if (Object.keys(changes['boosts']).length === 0 &&
+      changes['k1'] === undefined && changes['b'] === undefined) {
+      delete simulation[field];
+    }
+
+    for (const other of qsa('.what-if input')) {
+      if (other.dataset.field === field && other.dataset.param === param &&
+        (param !== 'boost' || other.dataset.original === original)) {
+        other.value = unchanged ? other.dataset.original : value;
+      }
+    }
+    simulate();
+    sortDecks();
+    if (readConditions().length > 0) {
+      filterCards();
+    }
+  }
+
+  /**
+   * Removes all what-if changes and restores the scores Solr returned.
+   */
+  function resetSimulation() {
+    simulation = {};
+    for (const input of qsa('.what-if input')) {
+      input.value = input.dataset.original;
+    }
+    simulate();
+    sortDecks();
+    if (readConditions().length > 0) {
+      filterCards();
+    }
+  }
+
+  /**
+   * Recomputes every SKU's score from its score details with the what-if
+   * changes, and shows the new scores and ranks beside the original ones.
+   */
+  function simulate() {
+    simulatedScores = new WeakMap();
+    const active = Object.keys(simulation).length > 0;
+    for (const [section, products, details, order] of deckSections()) {
+      if (active) {
+        const scores = {};
+        for (const [key, item] of Object.entries(details)) {
+          scores[key] = explainParser.rescore(scoreTree(item), simulation);
+        }
+        simulatedScores.set(details, scores);
+      }
+      showSimulation(section, inRankOrder(products, order), details);
+    }
+    listSimulation();
+  }
+
+  /**
+   * Updates the scores and ranks on the cards in a section of decks, or clears
+   * them when there are no what-if changes.
+   * @param {HTMLElement} section - the section holding the decks
+   * @param {Array} products - the products shown in the section, in rank order
+   * @param {Object} details - the score details of the products' results
+   */
+  function showSimulation(section, products, details) {
+    const scores = simulatedScores.get(details);
+    for (const card of section.querySelectorAll('.product-card:not(.title-card)')) {
+      const score = scores?.[card.dataset.item];
+      if (score === undefined) {
+        delete card.dataset.simulated;
+      } else {
+        card.dataset.simulated = score;
+      }
+      card.querySelector('.simulated').textContent = score === undefined ?
+        '' : ` → ${parseFloat(score.toFixed(4))}`;
+    }
+
+    // rank the products again by their highest new score
+    const titles = [...section.querySelectorAll('.title-card')];
+    const firstRank = Math.min(...titles.map(title => parseInt(title.dataset.rank)));
+    const ranked = products
+      .map(product => [product['productId'], simulatedMax(product, details)])
+      .sort((a, b) => b[1] - a[1]);
+    ranked.forEach(([prodId, max], i) => {
+      const title = section.querySelector(`:scope > .${CSS.escape(prodId)} > .title-card`);
+      if (!title) return;
+      const [rank, score] = title.querySelectorAll('.simulated');
+      rank.textContent = scores ? ` → ${firstRank + i}` : '';
+      score.textContent = scores ? ` → ${parseFloat(max.toFixed(4))}` : '';
+    });
+  }
+
+  /**
+   * Finds a product's highest SKU score with the what-if changes.
+   * @param {Object} product - the product
+   * @param {Object} details - the score details of the product's results
+   * @returns {Number} the highest new score, or the original if none
+   */
+  function simulatedMax(product, details) {
+    const scores = simulatedScores.get(details);
+    if (!scores) {
+      return productScores(product['skus'])[1];
+    }
+    return Math.max(...Object.entries(product['skus']).map(([sku, skuData]) =>
+      scores[skuItem(product, sku)] ?? parseFloat(skuData['skuScore'])));
+  }
+
+  /**
+   * Lists the what-if changes in the sidebar.
+   */
+  function listSimulation() {
+    const list = id('simulation-list');
+    list.innerHTML = '';
+    for (const [field, changes] of Object.entries(simulation)) {
+      for (const [original, value] of Object.entries(changes['boosts'])) {
+        list.append(gen('li', {textContent: `${field} boost: ${original} → ${value}`}));
+      }
+      for (const param of ['k1', 'b']) {
+        if (changes[param] !== undefined) {
+          list.append(gen('li', {textContent: `${field} ${param} = ${changes[param]}`}));
+        }
+      }
+    }
+    id('simulation').classList.toggle('hidden', list.children.length === 0);
+  }
+
+  /*
+    ************** shareable links **************
+  */
+
+  /**
+   * saves the current search, parameters, filters and spread deck in the page
+   * url, so the link can be shared to open the same view.
+   */
+  function updateHash() {
+    const params = new URLSearchParams({
+      'q': id('searchbar').value,
+      'api': API_URL,
+      'app': settings['app'],
+      'profile': settings['profile'],
+      'signals': settings['signals'],
+      'mm': settings['mm'],
+      'qf': settings['qf'],
+      'rows': id('results-limit').value,
+      'skus': id('sku-limit').value,
+      'start': id('start-index').value
+    });
+    for (const fq of filterQueries) {
+      params.append('fq', fq);
+    }
+    for (const [key, value] of readParams()) {
+      params.append('param', `${key}=${value}`);
+    }
+    if (id('compare-mode').checked) {
+      params.set('compare', 'true');
+      params.set('compare-api', id('compare-api').value);
+      params.set('compare-search', id('compare-search').value);
+    }
+    // each condition is written as [!]kind:min:max:name
+    const conditions = readConditions();
+    if (conditions.length > 0) {
+      params.set('filter', qs('#filter-join input:checked').value +
+        (id('filter-dim').checked ? ',dim' : ''));
+      for (const condition of conditions) {
+        params.append('condition', `${condition['not'] ? '!' : ''}${condition['kind']}:` +
+          `${condition['min'] ?? ''}:${condition['max'] ?? ''}:${condition['name']}`);
+      }
+    }
+    const spread = qs('.product-container.spread');
+    if (spread) {
+      params.set('deck', spread.classList[0]);
+    }
+    window.history.replaceState(null, '', `#${params}`);
+  }
+
+  /**
+   * fills in the search and parameters saved in a shared link. the view is
+   * restored straight away if already signed in to the link's api, otherwise
+   * once the user signs in.
+   */
+  async function readHash() {
+    try {
+      const params = new URLSearchParams(window.location.hash.slice(1));
+      if (!params.get('q')) return;
+
+      id('searchbar').value = params.get('q');
+      id('results-limit').value = params.get('rows') || id('results-limit').value;
+      id('sku-limit').value = params.get('skus') || id('sku-limit').value;
+      id('start-index').value = params.get('start') || id('start-index').value;
+      settings = {
+        ...settings,
+        'app': params.get('app') || settings['app'],
+        'profile': params.get('profile') || settings['profile'],
+        'signals': params.get('signals') || settings['signals'],
+        'mm': params.get('mm') || settings['mm'],
+        'qf': params.get('qf') || settings['qf']
+      };
+      fillSettings();
+      API_URL = params.get('api') || API_URL;
+      id('api-input').value = API_URL;
+      filterQueries = params.getAll('fq');
+      fillParams(params.getAll('param').map(param => param.split(/=(.*)/).slice(0, 2)));
+      id('compare-mode').checked = params.get('compare') === 'true';
+      id('compare-params').classList.toggle('hidden', !id('compare-mode').checked);
+      id('compare-api').value = params.get('compare-api') || '';
+      id('compare-search').value = params.get('compare-search') || '';
+      pendingView = params;
+
+      if (jwts[API_URL]) {
+        await restoreView();
+      } else {
+        // prompt for sign in to the link's api
+        qs('#auth form').classList.remove('hidden');
+        id('choose-api').classList.remove('hidden');
+        qs('#auth p').classList.remove('hidden');
+        id('signin').classList.add('active');
+      }
+    } catch (err) {
+      console.error('Error in readHash: ', err);
+      handleError('Error opening shared link: ', err);
+    }
+  }
+
+  /**
+   * runs the search from a shared link, then reapplies its filters and spreads
+   * its deck.
+   */
+  async function restoreView() {
+    try {
+      const params = pendingView;
+      pendingView = null;
+      id('signin').classList.remove('active');
+      await loadPage(new Event('submit'));
+
+      if (params.get('filter')) {
+        const [join, dim] = params.get('filter').split(',');
+        id('conditions').innerHTML = '';
+        qs(`#filter-join input[value=${join === 'or' ? 'or' : 'and'}]`).checked = true;
+        id('filter-dim').checked = dim === 'dim';
+        for (const written of params.getAll('condition')) {
+          const [kind, min, max, ...name] = written.replace(/^!/, '').split(':');
+          addCondition({
+            'not': written.startsWith('!'),
+            'kind': kind,
+            'name': name.join(':'),
+            'min': min === '' ? null : parseFloat(min),
+            'max': max === '' ? null : parseFloat(max)
+          });
+        }
+        filterCards();
+      }
+      let deck = params.get('deck') && qs(`.${CSS.escape(params.get('deck'))} .title-card`);
+      if (deck) {
+        deck.click();
+      }
+    } catch (err) {
+      console.error('Error in restoreView: ', err);
+      handleError('Error opening shared link: ', err);
+    }
+  }
+
+  /*
+    ************** query history **************
+  */
+
+  /**
+   * Opens the query history database, creating its stores on first use. Each
+   * search is kept in two stores so the list can be shown without reading
+   * every snapshot: "queries" holds the api and parameters, and "snapshots"
+   * holds the products and score details, both keyed by the time searched.
+   * @returns {IDBDatabase} the open database
+   */
+  async function historyDatabase() {
+    if (!historyDb) {
+      historyDb = await new Promise((resolve, reject) => {
+        const open = window.indexedDB.open('query-history', 1);
+        open.onupgradeneeded = () => {
+          open.result.createObjectStore('queries', {keyPath: 'id'});
+          open.result.createObjectStore('snapshots', {keyPath: 'id'});
+        };
+        open.onsuccess = () => resolve(open.result);
+        open.onerror = () => reject(open.error);
+      });
+    }
+    return historyDb;
+  }
+
+  /**
+   * Waits for a database request or transaction to finish.
+   * @param {IDBRequest|IDBTransaction} request - the request or transaction
+   * @returns {any} the result of the request
+   */
+  function historyResult(request) {
+    return new Promise((resolve, reject) => {
+      if (request instanceof IDBTransaction) {
+        request.oncomplete = () => resolve();
+      } else {
+        request.onsuccess = () => resolve(request.result);
+      }
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Saves a search and its results to the query history, forgetting the
+   * oldest searches past the limit.
+   * @param {String} apiUrl - the api searched
+   * @param {String} search - the search string
+   * @param {Object} results - the decomposed products and score details
+   */
+  async function saveHistory(apiUrl, search, results) {
+    try {
+      const db = await historyDatabase();
+      const key = Date.now();
+      let transaction = db.transaction(['queries', 'snapshots'], 'readwrite');
+      transaction.objectStore('queries').put({
+        'id': key,
+        'api': apiUrl,
+        'q': search,
+        'settings': {...settings},
+        'rows': ROW_LIMIT,
+        'skus': SKU_LIMIT,
+        'start': SEARCH_START,
+        'fq': [...filterQueries],
+        'params': readParams(),
+        'count': Object.keys(results['products']).length,
+        'numFound': results['numFound']
+      });
+      transaction.objectStore('snapshots').put({
+        'id': key,
+        'products': results['products'],
+        'order': results['order'],
+        'details': results['details'],
+        'facets': results['facets'],
+        'filters': results['filters'],
+        'parsedQuery': results['parsedQuery']
+      });
+      await historyResult(transaction);
+
+      transaction = db.transaction(['queries', 'snapshots'], 'readwrite');
+      const keys = await historyResult(transaction.objectStore('queries').getAllKeys());
+      for (const old of keys.slice(0, -HISTORY_LIMIT)) {
+        transaction.objectStore('queries').delete(old);
+        transaction.objectStore('snapshots').delete(old);
+      }
+      await historyResult(transaction);
+      await listHistory();
+    } catch (err) {
+      console.error('saveHistory ' + err);
+    }
+  }
+
+  /**
+   * Reads a saved search and its results from the query history.
+   * @param {Number} key - the time the search was made
+   * @returns {Array} the saved query and snapshot of its results
+   */
+  async function readHistory(key) {
+    const db = await historyDatabase();
+    const transaction = db.transaction(['queries', 'snapshots']);
+    return Promise.all([
+      historyResult(transaction.objectStore('queries').get(key)),
+      historyResult(transaction.objectStore('snapshots').get(key))
+    ]);
+  }
+
+  /**
+   * Lists the saved searches in the sidebar, newest first, each with buttons to
+   * reopen it or to compare it with a fresh run of the same search.
+   */
+  async function listHistory() {
+    try {
+      const db = await historyDatabase();
+      const queries = await historyResult(db.transaction('queries').objectStore('queries').getAll());
+      const list = id('history-list');
+      list.innerHTML = '';
+      for (const query of queries.reverse()) {
+        const item = gen('li');
+        const settingsUsed = `${query['settings']['app']}/${query['settings']['profile']}`;
+        item.append(gen('p', {textContent: `"${query['q']}"`}), gen('small', {textContent:
+          `${query['api'].split('//').pop() || 'no api'}, ${settingsUsed}, ` +
+          `${query['count']} of ${query['numFound']} from ${query['start']}, ` +
+          new Date(query['id']).toLocaleString()}));
+        const open = gen('button', {textContent: 'Open'});
+        open.addEventListener('click', () => openHistory(query['id']));
+        const diff = gen('button', {textContent: 'Compare to now'});
+        diff.addEventListener('click', () => diffHistory(query['id']));
+        item.append(open, diff);
+        list.append(item);
+      }
+      id('clear-history').disabled = queries.length === 0;
+    } catch (err) {
+      console.error('listHistory ' + err);
+    }
+  }
+
+  /**
+   * Shows a saved search's results again, without querying the api.
+   * @param {Number} key - the time the search was made
+   */
+  async function openHistory(key) {
+    let previous = null;
+    try {
+      const [query, snapshot] = await readHistory(key);
+      previous = useHistoryParams(query);
+      clearPage();
+      id('error').classList.add('hidden');
+      id('search-signals').classList.add('hidden');
+
+      setResults({...snapshot, 'numFound': query['numFound']});
+      nextStart = numFound;     // further pages would need a new search
+      await displayData();
+      updateHash();
+    } catch (err) {
+      console.error('Error in openHistory: ' + err);
+      handleError('Error opening saved search: ', err);
+    } finally {
+      if (previous) restoreSettings(previous);
+    }
+  }
+
+  /**
+   * Runs a saved search again and shows its saved results beside the new
+   * ones, marking the products that entered, left or moved since.
+   * @param {Number} key - the time the search was made
+   */
+  async function diffHistory(key) {
+    let previous = null;
+    try {
+      const [query, snapshot] = await readHistory(key);
+      if (!jwts[query['api']]) {
+        handleError('Error comparing saved search: ',
+          `sign in to ${query['api']} to run the search again.`);
+        return;
+      }
+      previous = useHistoryParams(query);
+      clearPage();
+
+      const results = await queryData(new Event('submit'), query['api'], query['q'], query['start']);
+      if (!results) return;
+      setResults({...snapshot, 'numFound': query['numFound']});
+      nextStart = numFound;
+      compareResults = results;
+      compareResults['baseLabel'] = `Saved ${new Date(query['id']).toLocaleString()}: "${query['q']}"`;
+      compareResults['label'] = `Now: "${query['q']}"`;
+      compareResults['search'] = query['q'];
+      await displayData();
+      updateHash();
+      await saveHistory(query['api'], query['q'], results);
+    } catch (err) {
+      console.error('Error in diffHistory: ' + err);
+      handleError('Error comparing saved search: ', err);
+    } finally {
+      if (previous) restoreSettings(previous);
+    }
+  }
+
+  /**
+   * Fills in the search, parameters, app settings and api of a saved search.
+   * @param {Object} query - the saved query
+   * @returns {Object} the api and app settings in use before, to restore once
+   * the saved search is shown
+   */
+  function useHistoryParams(query) {
+    const previous = {'api': API_URL, 'settings': settings};
+    id('searchbar').value = query['q'];
+    id('results-limit').value = ROW_LIMIT = query['rows'];
+    id('sku-limit').value = SKU_LIMIT = query['skus'];
+    id('start-index').value = SEARCH_START = query['start'];
+    settings = {...DEFAULT_SETTINGS, ...query['settings']};
+    fillSettings();
+    API_URL = query['api'];
+    id('api-input').value = API_URL;
+    filterQueries = [...(query['fq'] || [])];
+    fillParams(query['params'] || []);
+    return previous;
+  }
+
+  /**
+   * Switches back to the api and app settings in use before a saved search was
+   * shown, so that later searches don't run against the saved search's.
+   * @param {Object} previous - the api and settings returned by useHistoryParams
+   */
+  function restoreSettings(previous) {
+    settings = previous['settings'];
+    fillSettings();
+    API_URL = previous['api'];
+    id('api-input').value = API_URL;
+  }
+
+  /**
+   * Forgets every saved search.
+   */
+  async function clearHistory() {
+    try {
+      const db = await historyDatabase();
+      const transaction = db.transaction(['queries', 'snapshots'], 'readwrite');
+      transaction.objectStore('queries').clear();
+      transaction.objectStore('snapshots').clear();
+      await historyResult(transaction);
+      await listHistory();
+    } catch (err) {
+      console.error('clearHistory ' + err);
+    }
+  }
+
+  /*
+    ************** request inspector **************
+  */
+
+  /**
+   * Records a request sent to the api for the request inspector. The JWT is
+   * left out of the recorded headers.
+   * @param {String} label - the function that sent the request
+   * @param {String} url - the full request url
+   * @param {Object} headers - the request headers
+   * @param {Response} res - the response, before its body is read, or null if
+   * the request failed without one
+   * @param {Number} started - when the request was sent, from performance.now()
+   * @returns {Object} the recorded exchange, to add the response body to
+   */
+  function inspect(label, url, headers, res, started) {
+    const redacted = {...headers};
+    if (redacted['Authorization']) {
+      redacted['Authorization'] = 'Bearer <redacted>';
+    }
+    const exchange = {
+      'label': label,
+      'url': url,
+      'headers': redacted,
+      'status': res ? `${res.status} ${res.statusText}` : 'Network error',
+      'time': Math.round(performance.now() - started),
+      'sent': new Date(),
+      'response': null,
+      'error': null
+    };
+    exchanges = [exchange, ...exchanges].slice(0, INSPECTOR_LIMIT);
+    showExchanges();
+    return exchange;
+  }
+
+  /**
+   * Sends a request to the api and records it for the request inspector,
+   * along with its JSON response or the error it failed with.
+   * @param {String} label - the function sending the request
+   * @param {String} url - the full request url
+   * @param {Object} headers - the request headers
+   * @returns {Object} the JSON response
+   */
+  async function inspectedFetch(label, url, headers) {
+    const started = performance.now();
+    let exchange = null;
+    try {
+      const res = await fetch(url, { headers });
+      exchange = inspect(label, url, headers, res, started);
+      await statusCheck(res);
+      exchange['response'] = await res.json();
+      return exchange['response'];
+    } catch (err) {
+      exchange = exchange || inspect(label, url, headers, null, started);
+      exchange['error'] = String(err.message || err);
+      throw err;
+    } finally {
+      showExchanges();
+    }
+  }
+
+  /**
+   * Lists the recorded requests in the inspector, and shows the newest.
+   */
+  function showExchanges() {
+    const select = id('exchange-select');
+    select.innerHTML = '';
+    exchanges.forEach((exchange, i) => {
+      select.append(gen('option', {value: i, textContent:
+        `${exchange['sent'].toLocaleTimeString()} ${exchange['label']} (${exchange['status']})`}));
+    });
+    showExchange();
+  }
+
+  /**
+   * Shows the url, headers, status and timing of the chosen request, and its
+   * response as a collapsible tree filtered by the search box.
+   */
+  function showExchange() {
+    const meta = id('exchange-meta');
+    const tree = id('json-tree');
+    meta.innerHTML = '';
+    tree.innerHTML = '';
+    const exchange = exchanges[id('exchange-select').value];
+    if (!exchange) return;
+
+    for (const [label, value] of [
+      ['URL', exchange['url']],
+      ['Headers', Object.entries(exchange['headers']).map(([key, header]) => `${key}: ${header}`).join('\n')],
+      ['Status', exchange['status']],
+      ['Time', `${exchange['time']} ms`],
+      ['Error', exchange['error']]
+    ]) {
+      if (value === null) continue;
+      meta.append(gen('dt', {textContent: label}), gen('dd', {textContent: value}));
+    }
+    if (!exchange['response']) return;
+    const term = id('json-search').value.trim().toLowerCase();
+    const root = jsonTree('response', exchange['response'], term);
+    if (root) {
+      root.open = true;
+      root.dispatchEvent(new Event('toggle'));
+      tree.append(root);
+    } else {
+      tree.append(gen('p', {textContent: `Nothing matches "${term}".`}));
+    }
+  }
+
+  /**
+   * Builds a collapsible tree of a JSON value. Without a search term the
+   * children of each object are only built when it is first opened, as the
+   * explain section can be large. With one, only the keys and values that
+   * match it and their parents are shown, already opened.
+   * @param {String} key - the key of the value within its parent
+   * @param {*} value - the JSON value
+   * @param {String} term - lowercase text to search keys and values for
+   * @returns {HTMLElement} the tree, or null if nothing in it matches the term
+   */
+  function jsonTree(key, value, term = '') {
+    const matched = term !== '' && String(key).toLowerCase().includes(term);
+    if (value === null || typeof value !== 'object') {
+      const text = JSON.stringify(value);
+      if (term && !matched && !text.toLowerCase().includes(term)) return null;
+      const leaf = gen('div', {classList: 'json-leaf'});
+      leaf.append(gen('span', {classList: 'json-key', textContent: `${key}: `}),
+        gen('span', {classList: `json-${value === null ? 'null' : typeof value}`, textContent: text}));
+      if (term) {
+        leaf.classList.add('match');
+      }
+      return leaf;
+    }
+
+    const entries = Object.entries(value);
+    const node = gen('details');
+    node.append(gen('summary', {textContent: Array.isArray(value) ?
+      `${key} [${entries.length}]` : `${key} {${entries.length}}`}));
+    if (term && !matched) {
+      const children = entries.map(([childKey, child]) => jsonTree(childKey, child, term))
+        .filter(child => child);
+      if (children.length === 0) return null;
+      node.open = true;
+      node.append(...children);
+      return node;
+    }
+    if (matched) {
+      node.classList.add('match');
+    }
+    node.addEventListener('toggle', () => {
+      if (node.open && node.children.length === 1) {
+        node.append(...entries.map(([childKey, child]) => jsonTree(childKey, child)));
+      }
+    });
+    return node;
+  }
+
+  /*
+    ************** facets **************
+  */
+
+  /**
+   * Reads the facet field counts from a response. Solr lists each field's
+   * values and counts in one flat array by default, or as an object when
+   * json.nl=map is used.
+   * @param {Object} data - the JSON response
+   * @returns {Object} the [value, count] pairs of each facet field
+   */
+  function facetFields(data) {
+    const fields = (data['facet_counts'] || {})['facet_fields'] || {};
+    const facets = {};
+    for (const [field, counts] of Object.entries(fields)) {
+      if (Array.isArray(counts)) {
+        facets[field] = [];
+        for (let i = 0; i < counts.length; i += 2) {
+          facets[field].push([counts[i], counts[i + 1]]);
+        }
+      } else {
+        facets[field] = Object.entries(counts);
+      }
+    }
+    return facets;
+  }
+
+  /**
+   * Lists the facets of the results in the sidebar, along with the filters
+   * applied. Filters chosen here can be removed; the others were applied by
+   * the query pipeline.
+   * @param {Object} facets - the [value, count] pairs of each facet field
+   * @param {Array} filters - the filter queries the response was filtered by
+   */
+  function showFacets(facets, filters) {
+    const chips = id('filter-chips');
+    chips.innerHTML = '';
+    for (const fq of new Set([...filterQueries, ...filters])) {
+      const chip = gen('span', {classList: 'chip', textContent: fq});
+      if (filterQueries.includes(fq)) {
+        const remove = gen('img', {src: './img/x.png', alt: 'Remove filter'});
+        remove.addEventListener('click', () => toggleFilter(fq));
+        chip.append(remove);
+      } else {
+        chip.classList.add('fixed');
+        chip.title = 'Applied by the query pipeline';
+      }
+      chips.append(chip);
+    }
+
+    const list = id('facet-list');
+    list.innerHTML = '';
+    for (const [field, counts] of Object.entries(facets)) {
+      const values = counts.filter(([, count]) => count > 0);
+      if (values.length === 0) continue;
+      const facet = gen('details', {open: true});
+      facet.append(gen('summary', {textContent: field}));
+      for (const [value, count] of values) {
+        const fq = `${field}:"${String(value).split('"').join('\\"')}"`;
+        const option = gen('button', {textContent: `${value} (${count})`});
+        if (filterQueries.includes(fq)) {
+          option.classList.add('active');
+        }
+        option.addEventListener('click', () => toggleFilter(fq));
+        facet.append(option);
+      }
+      list.append(facet);
+    }
+    id('facets').classList.toggle('hidden', !chips.children.length && !list.children.length);
+  }
+
+  /**
+   * Adds a filter query, or removes it if already applied, then runs the
+   * search again from the first page.
+   * @param {String} fq - the filter query, e.g. product_category:"womens"
+   */
+  async function toggleFilter(fq) {
+    if (filterQueries.includes(fq)) {
+      filterQueries = filterQueries.filter(applied => applied !== fq);
+    } else {
+      filterQueries.push(fq);
+    }
+    id('start-index').value = 0;
+    await loadPage(new Event('submit'));
+  }
+
+  /*
+    ************** parsed query **************
+  */
+
+  /**
+   * Shows how Solr rewrote the search, as a tree of the clauses in
+   * "debug.parsedquery_toString" (or "debug.parsedquery" without it), with the
+   * query parser used and the rewritten query as written.
+   * @param {Object} parsedQuery - the parsedquery, parsedquery_toString and
+   *          QParser debug values of the response
+   */
+  function showParsedQuery(parsedQuery) {
+    const viewer = id('parsed-query');
+    const text = [].concat(parsedQuery['parsedquery_toString'] ||
+      parsedQuery['parsedquery'] || []).join(' ');
+    viewer.classList.toggle('hidden', !text);
+    if (!text) return;
+
+    const parser = parsedQuery['QParser'];
+    viewer.querySelector('summary').textContent = parser ?
+      `Parsed query (${parser})` : 'Parsed query';
+    viewer.querySelector('code').textContent = text;
+    const tree = viewer.querySelector('ul');
+    tree.innerHTML = '';
+    try {
+      tree.append(queryClause(queryParser.parse(text)));
+    } catch (err) {
+      console.error('showParsedQuery ' + err);
+    }
+  }
+
+  /**
+   * Describes a parsed query clause and the clauses within it.
+   * @param {Object} clause - the clause, as parsed by queryParser
+   * @returns {HTMLElement} list item describing the clause
+   */
+  function queryClause(clause) {
+    const field = clause.field ? `${clause.field}: ` : '';
+    const descriptions = {
+      'boolean': clause.mm ? `boolean, at least ${clause.mm} should match` : 'boolean',
+      'dismax': clause.tieBreaker ?
+        `best of, plus ${clause.tieBreaker} times the others` : 'best of',
+      'synonym': `${field}${(clause.terms || []).join(' = ')} (synonyms)`,
+      'phrase': `${field}"${(clause.terms || []).join(' ')}"` +
+        (clause.slop ? ` within ${clause.slop} positions` : ''),
+      'function': clause.label || `${clause.name}(${clause.text})`
+    };
+    let text = descriptions[clause.type] || `${field}${(clause.terms || []).join(' ')}`;
+    if (clause.boost !== null) {
+      text += ` ^${clause.boost}`;
+    }
+
+    const item = gen('li', {classList: `query-${clause.type}`});
+    item.append(gen('span', {classList: 'query-occur', textContent: clause.occur}),
+      gen('span', {textContent: text}));
+    if (clause.children.length > 0) {
+      const children = gen('ul');
+      children.append(...clause.children.map(queryClause));
+      item.append(children);
+    }
+    return item;
+  }
+
+  /*
+    ************** regression suite **************
+  */
+
+  /**
+   * Runs every query in the regression suite against the selected api, one
+   * after another, and reports whether each expected product was found within
+   * its expected top N. The suite is saved for next time.
+   */
+  async function runSuite() {
+    const text = id('suite-input').value;
+    window.localStorage.setItem('regression-suite', text);
+    const checks = parseSuite(text);
+    if (checks.length === 0) {
+      handleError('Error running regression suite: ', 'add at least one check, as "query, product, top N".');
+      return;
+    }
+    if (!jwts[API_URL]) {
+      handleError('Error running regression suite: ', `sign in to ${API_URL} first.`);
+      return;
+    }
+
+    let circle = qs('#options svg');
+    let circle2 = id('load-circle');
+    circle.classList.remove('hidden');
+    circle2.classList.remove('hidden');
+    id('run-suite').disabled = true;
+    try {
+      // each query is only run once, however many checks it has. the facet
+      // filters and extra params in the sidebar aren't applied, so the results
+      // don't depend on what happens to be chosen there. the report shows no
+      // matched text, so none is highlighted
+      const results = {};
+      for (const query of new Set(checks.map(check => check['query']))) {
+        results[query] = await queryData(new Event('submit'), API_URL, query, 0, [], false);
+      }
+      clearPage();
+      resetResults();
+      id('items').append(suiteReport(checks, results));
+    } catch (err) {
+      console.error('Error in runSuite: ' + err);
+      handleError('Error running regression suite: ', err);
+    }
+    id('run-suite').disabled = false;
+    circle.classList.add('hidden');
+    circle2.classList.add('hidden');
+  }
+
+  /**
+   * Forgets the results shown before the suite report replaced them, along
+   * with the sort, filter conditions and what-if changes made to them.
+   */
+  function resetResults() {
+    allProducts = {};
+    productOrder = [];
+    allDetails = {};
+    allDocs = {};
+    compareResults = null;
+    numFound = 0;
+    nextStart = 0;
+    simulation = {};
+    listSimulation();
+    id('sort-by').value = 'rank';
+    prepSort();
+    unfilterCards();
+  }
+
+  /**
+   * Reads the checks in a regression suite, one per line as "query, product,
+   * top N", as exported from a spreadsheet. Blank lines, lines starting with
+   * "#", and a header row are skipped.
+   * @param {String} text - the suite, as CSV
+   * @returns {Array} the query, expected product ID or name, and top N of each
+   *          check
+   */
+  function parseSuite(text) {
+    const checks = [];
+    for (const fields of csvRows(text)) {
+      const top = parseInt(fields[2]);
+      if (!fields[0] || !fields[1] || isNaN(top)) continue;
+      checks.push({'query': fields[0], 'product': fields[1], 'top': top});
+    }
+    return checks;
+  }
+
+  /**
+   * Finds the rank of an expected product within a query's results.
+   * @param {Array} products - the query's products, in rank order
+   * @param {String} expected - the product's ID or name
+   * @returns {Number} the product's rank, or 0 if it wasn't returned
+   */
+  function suiteRank(products, expected) {
+    return products.findIndex(product => product['productId'] === expected ||
+      (product['displayName'] || '').toLowerCase() === expected.toLowerCase()) + 1;
+  }
+
+  /**
+   * Builds the regression suite report: a row per check, followed for each
+   * failing check by the score breakdown of the expected product and the
+   * score it had to beat.
+   * @param {Array} checks - the checks, as read by parseSuite()
+   * @param {Object} results - the decomposed results of each query, or
+   *          undefined where the query failed
+   * @returns {HTMLElement} the report section
+   */
+  function suiteReport(checks, results) {
+    const section = gen('section', {id: 'suite-report'});
+    const table = gen('table');
+    const head = gen('tr');
+    for (const label of ['Query', 'Product', 'Expected', 'Rank', 'Result']) {
+      head.append(gen('th', {textContent: label}));
+    }
+    table.append(head);
+
+    let passed = 0;
+    for (const check of checks) {
+      const result = results[check['query']];
+      const products = result ? inRankOrder(result['products'], result['order']) : [];
+      const rank = suiteRank(products, check['product']);
+      const pass = rank > 0 && rank <= check['top'];
+      if (pass) passed++;
+
+      const row = gen('tr', {classList: pass ? 'pass' : 'fail'});
+      let outcome = pass ? 'Pass' : 'Fail';
+      if (!result) {
+        outcome = 'Query failed';
+      } else if (!rank && check['top'] > products.length) {
+        outcome = `Fail (only ${products.length} results requested)`;
+      }
+      for (const value of [check['query'], check['product'], `Top ${check['top']}`,
+        rank || 'Not returned', outcome]) {
+        row.append(gen('td', {textContent: value}));
+      }
+      table.append(row);
+      if (!pass && result) {
+        const breakdown = gen('td', {colSpan: 5});
+        breakdown.append(...suiteBreakdown(check, result, rank));
+        const breakdownRow = gen('tr', {classList: 'suite-breakdown'});
+        breakdownRow.append(breakdown);
+        table.append(breakdownRow);
+      }
+    }
+
+    section.append(gen('h2', {textContent:
+      `Regression suite: ${passed} of ${checks.length} checks passed`}), table);
+    return section;
+  }
+
+  /**
+   * Explains why a check failed: the score of the last product inside the
+   * expected top N, and the score breakdown of the expected product's best
+   * SKU if it was returned at all.
+   * @param {Object} check - the failing check
+   * @param {Object} result - the decomposed results of the check's query
+   * @param {Number} rank - the rank of the expected product, or 0
+   * @returns {Array} the elements explaining the failure
+   */
+  function suiteBreakdown(check, result, rank) {
+    const products = inRankOrder(result['products'], result['order']);
+    const elements = [];
+    const cutoff = products[Math.min(check['top'], products.length) - 1];
+    if (cutoff) {
+      elements.push(gen('p', {textContent: `To make the top ${check['top']} it needed to ` +
+        `beat ${cutoff['displayName']} (${cutoff['productId']}), scoring ` +
+        `${productScores(cutoff['skus'])[1]}.`}));
+    }
+    if (!rank) {
+      elements.push(gen('p', {textContent: `${check['product']} was not returned.`}));
+      return elements;
+    }
+
+    const product = products[rank - 1];
+    const [sku] = Object.entries(product['skus'])
+      .sort((a, b) => parseFloat(b[1]['skuScore']) - parseFloat(a[1]['skuScore']))[0];
+    const details = result['details'][skuItem(product, sku)];
+    elements.push(gen('p', {textContent: `${product['displayName']} (${product['productId']}) ` +
+      `scored ${productScores(product['skus'])[1]} with SKU ${sku}:`}));
+    if (details) {
+      const summary = scoreSummary(scoreTree(details),
+        skuItem(product, sku));
+      summary.classList.remove('hidden');
+      elements.push(summary);
+    }
+    return elements;
+  }
+
+  /*
+    ************** ranking metrics **************
+  */
+
+  /**
+   * Reads a relevance judgment file, one judgment per line as "query,
+   * productId, grade". Higher grades are more relevant, and a grade of 0 is
+   * not relevant. A header row is skipped.
+   * @param {String} text - the judgments, as CSV
+   * @returns {Object} the grades keyed by lowercase query, then product id
+   */
+  function parseJudgments(text) {
+    const grades = {};
+    for (const [query, productId, grade] of csvRows(text)) {
+      if (!query || !productId || isNaN(parseFloat(grade))) continue;
+      const key = query.toLowerCase();
+      grades[key] = grades[key] || {};
+      grades[key][productId] = parseFloat(grade);
+    }
+    return grades;
+  }
+
+  /**
+   * Scores a ranking against the judged grades for its query. Products without
+   * a judgment count as not relevant.
+   * @param {Array} ranking - the product ids, in rank order
+   * @param {Object} grades - the judged grade of each product id
+   * @param {Number} k - how many of the top results to score
+   * @param {Number} offset - how many results rank before the first in the
+   * ranking, when the results don't start at the first page
+   * @returns {Object} the ndcg, mrr, precision and recall of the ranking
+   */
+  function rankingMetrics(ranking, grades, k, offset = 0) {
+    const gain = (grade, i) => (Math.pow(2, grade) - 1) / Math.log2(i + 2);
+    const top = ranking.slice(0, Math.max(k - offset, 0)).map(prodId => grades[prodId] || 0);
+    const ideal = Object.values(grades).sort((a, b) => b - a).slice(0, k);
+    const dcg = top.reduce((total, grade, i) => total + gain(grade, i + offset), 0);
+    const idcg = ideal.reduce((total, grade, i) => total + gain(grade, i), 0);
+
+    const first = ranking.findIndex(prodId => grades[prodId] > 0);
+    const relevant = top.filter(grade => grade > 0).length;
+    const judgedRelevant = Object.values(grades).filter(grade => grade > 0).length;
+    return {
+      'ndcg': idcg ? dcg / idcg : 0,
+      'mrr': first < 0 ? 0 : 1 / (offset + first + 1),
+      'precision': relevant / k,
+      'recall': judgedRelevant ? relevant / judgedRelevant : 0
+    };
+  }
+
+  /**
+   * Shows the ranking metrics of the current results, and of the compared
+   * results if any, for the queries that have judgments.
+   */
+  function showMetrics() {
+    const k = parseInt(id('metrics-k').value) || 10;
+    const offset = parseInt(SEARCH_START) || 0;
+    const table = qs('#metrics table');
+    const note = qs('#metrics p');
+    table.innerHTML = '';
+    note.textContent = '';
+
+    // the @k metrics can't be computed from a page after the first k results
+    const columns = offset < k ? ['ndcg', 'mrr', 'precision', 'recall'] : ['mrr'];
+    const labels = {'ndcg': `NDCG@${k}`, 'mrr': 'MRR', 'precision': `P@${k}`,
+      'recall': `Recall@${k}`};
+    const head = gen('tr');
+    for (const label of ['', ...columns.map(column => labels[column])]) {
+      head.append(gen('th', {textContent: label}));
+    }
+    table.append(head);
+
+    const rankings = [['Results', id('searchbar').value, productOrder]];
+    if (compareResults) {
+      rankings[0][0] = compareResults['baseLabel'] || 'Base';
+      rankings.push([compareResults['label'],
+        compareResults['search'] || id('searchbar').value, compareResults['order']]);
+    }
+    for (const [label, search, order] of rankings) {
+      const grades = judgments[search.trim().toLowerCase()];
+      if (!grades) {
+        if (Object.keys(judgments).length > 0 && search) {
+          note.textContent = `No judgments for "${search}".`;
+        }
+        continue;
+      }
+      const metrics = rankingMetrics(order, grades, k, offset);
+      const row = gen('tr');
+      row.append(gen('th', {textContent: label}));
+      for (const column of columns) {
+        row.append(gen('td', {textContent: metrics[column].toFixed(3)}));
+      }
+      table.append(row);
+    }
+    if (table.rows.length > 1 && offset >= k) {
+      note.textContent = (`${note.textContent} NDCG@${k}, P@${k} and Recall@${k} ` +
+        `need the first ${k} results; search from the start to see them.`).trim();
+    }
+    table.classList.toggle('hidden', table.rows.length === 1);
+  }
+
+  /*
+    ************** score charts **************
+  */
+
+  /**
+   * builds a collapsible stacked bar showing how much each weighted term and
+   * multiplier contributes to a SKU's final score.
+   * @param {Object} tree - the SKU's parsed score explanation
+   * @returns {HTMLElement} details element holding the chart and its legend
+   */
+  function scoreChart(tree) {
+    const chart = gen('details', {classList: 'score-chart'});
+    chart.append(gen('summary', {textContent: 'Score chart'}));
+
+    const segments = [];
+    scoreContributions(tree, 1, segments);
+    const total = segments.reduce((sum, segment) => sum + segment['value'], 0);
+
+    const bar = gen('div', {classList: 'chart-bar'});
+    segments.forEach((segment, i) => {
+      segment['color'] = `hsl(${(i * 67) % 360}, 55%, 55%)`;
+      segment['share'] = total > 0 ? segment['value'] / total * 100 : 0;
+      segment['title'] = `${segment['label']}: ${segment['value'].toFixed(4)} ` +
+        `(${segment['share'].toFixed(1)}%)`;
+      const block = gen('div', {title: segment['title']});
+      block.style.width = `${Math.max(segment['share'], 0)}%`;
+      block.style.backgroundColor = segment['color'];
+      bar.append(block);
+    });
+
+    // list the largest contributions first
+    const legend = gen('ol', {classList: 'chart-legend'});
+    for (const segment of [...segments].sort((a, b) => b['value'] - a['value'])) {
+      const swatch = gen('span', {classList: 'swatch'});
+      swatch.style.backgroundColor = segment['color'];
+      const item = gen('li', {textContent: segment['title']});
+      item.prepend(swatch);
+      if (segment['parts']) {
+        item.append(gen('p', {textContent: segment['parts']}));
+      }
+      legend.append(item);
+    }
+    chart.append(bar, legend);
+    return chart;
+  }
+
+  /**
+   * Recursively splits a parsed score node into the additive contributions of
+   * its weighted terms and multipliers.
+   * @param {Object} node - the parsed score node to split
+   * @param {Number} scale - the product of the multipliers applied above the node
+   * @param {Array} segments - the contributions found so far
+   */
+  function scoreContributions(node, scale, segments) {
+    const children = node.children;
+    if (node.type === 'weight') {
+      const parts = ['boost', 'idf', 'tf'].map(type => {
+        const component = explainParser.find(node, type);
+        return component ? `${type} ${Number(component.value).toFixed(3)}` : null;
+      }).filter(part => part);
+      segments.push({label: node.label, value: node.value * scale, parts: parts.join(' × ')});
+    } else if (node.type === 'sum' && children.length > 0) {
+      children.forEach(child => scoreContributions(child, scale, segments));
+    } else if (node.type === 'max' && children.length > 0) {
+      // only the maximum counts in full; a tie breaker scales the others
+      const max = children.reduce((a, b) => (b.value > a.value ? b : a));
+      children.forEach(child => {
+        if (child === max) {
+          scoreContributions(child, scale, segments);
+        } else if (node.tieBreaker) {
+          scoreContributions(child, scale * node.tieBreaker, segments);
+        }
+      });
+    } else if (node.type === 'product' && children.length > 0) {
+      // the nested score is the base, and the rest multiply it
+      const base = children.find(child => child.children.length > 0) || children[0];
+      const others = children.filter(child => child !== base);
+      const multiplier = others.reduce((product, child) => product * child.value, 1);
+      scoreContributions(base, scale, segments);
+
+      // share the score added by the multipliers in proportion to their size.
+      // a multiplier of 1 adds nothing, and one of 0 or less has no size to
+      // compare, so neither is given a share
+      const extra = base.value * scale * (multiplier - 1);
+      const size = child => (child.value > 0 && child.value !== 1 ? Math.log(child.value) : 0);
+      const logTotal = others.reduce((sum, child) => sum + size(child), 0);
+      others.forEach(child => {
+        const label = explainParser.isSignal(child) ?
+          'Signal boosting' : child.label || child.description.split(',')[0];
+        const share = Math.abs(logTotal) > 1e-9 ? size(child) / logTotal : 0;
+        segments.push({label: `${label} × ${child.value}`, value: extra * share});
+      });
+    } else {
+      const label = explainParser.isSignal(node) ? 'Signal boosting' :
+        node.label || node.description.split(',')[0];
+      segments.push({label: label, value: node.value * scale});
+    }
+  }
+
+  /*
+    ************** export results **************
+  */
+
+  /**
+   * saves the current products and score details as a JSON file.
+   */
+  function exportJSON() {
+    const search = id('searchbar').value;
+    const contents = JSON.stringify({
+      'query': search,
+      'products': allProducts,
+      'order': productOrder,
+      'details': allDetails
+    }, null, 2);
+    download(`${sectionId(search)}.json`, contents, 'application/json');
+  }
+
+  /**
+   * saves the current results as a CSV file with one row per SKU, listing its
+   * rank, total score, and the boost, idf and tf of each weighted term.
+   */
+  function exportCSV() {
+    const rows = [];
+    const columns = ['productId', 'skuId', 'rank', 'score'];
+    const products = inRankOrder(allProducts, productOrder);
+    for (let i = 0; i < products.length; i++) {
+      for (const [skuId, skuData] of Object.entries(products[i]['skus'])) {
+        const row = {
+          'productId': products[i]['productId'],
+          'skuId': skuId,
+          'rank': parseInt(SEARCH_START) + i + 1,
+          'score': skuData['skuScore']
+        };
+        const weights = weightComponents(allDetails[skuItem(products[i], skuId)]);
+        for (const [name, components] of Object.entries(weights)) {
+          for (const [component, value] of Object.entries(components)) {
+            const column = `${name} ${component}`;
+            if (!columns.includes(column)) columns.push(column);
+            row[column] = value;
+          }
+        }
+        rows.push(row);
+      }
+    }
+
+    const lines = [columns.map(csvField).join(',')];
+    for (const row of rows) {
+      lines.push(columns.map(column => csvField(row[column])).join(','));
+    }
+    download(`${sectionId(id('searchbar').value)}.csv`, lines.join('\n'), 'text/csv');
+  }
+
+  /**
+   * Pulls the boost, idf and tf out of each weighted term in a SKU's score
+   * details.
+   * @param {Array} details - the depth/description/value triples for the SKU
+   * @returns {Object} the boost, idf and tf for each weight, keyed by the
+   *          weighted field and term
+   */
+  function weightComponents(details) {
+    const weights = {};
+    if (!details) return weights;
+    for (const weight of explainParser.findAll(scoreTree(details), 'weight')) {
+      // the same term can be weighted in more than one clause
+      let name = weight.label;
+      for (let count = 2; weights[name]; count++) {
+        name = `${weight.label} (${count})`;
+      }
+      weights[name] = {};
+
+      // search the weight's nested details for its components
+      for (const type of ['boost', 'idf', 'tf']) {
+        const component = explainParser.find(weight, type);
+        if (component) {
+          weights[name][type] = component.value;
+        }
+      }
+    }
+    return weights;
+  }
+
+  /**
+   * Splits CSV text into rows of trimmed fields. Blank lines and lines
+   * starting with "#" are skipped.
+   * @param {String} text - the CSV text
+   * @returns {Array} the fields of each row
+   */
+  function csvRows(text) {
+    const rows = [];
+    for (const line of text.split(/\r?\n/)) {
+      if (!line.trim() || line.trim().startsWith('#')) continue;
+      rows.push([...line.matchAll(/\s*(?:"((?:[^"]|"")*)"|([^,]*))\s*(?:,|$)/g)]
+        .map(match => (match[1] !== undefined ? match[1].split('""').join('"') : match[2]).trim()));
+    }
+    return rows;
+  }
+
+  /**
+   * Formats a value as a CSV field, quoting it if needed.
+   * @param {*} value - the value to format
+   * @returns {String} the formatted field
+   */
+  function csvField(value) {
+    if (value === undefined || value === null) return '';
+    value = String(value);
+    if (/[",\n]/.test(value)) {
+      value = `"${value.split('"').join('""')}"`;
+    }
+    return value;
+  }
+
+  /**
+   * Prompts the browser to save text content as a file.
+   * @param {String} filename - the name to save the file as
+   * @param {String} contents - the file contents
+   * @param {String} type - the MIME type of the contents
+   */
+  function download(filename, contents, type) {
+    const url = URL.createObjectURL(new Blob([contents], {type}));
+    const link = gen('a', {href: url, download: filename});
+    document.body.append(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  }
+
+  /* ----- Helpers & wrappers ----- */
+
+  /**
+   * Builds a valid element id for the section holding a query's results.
+   * @param {String} search - the query string
+   * @returns {String} the query with any characters not allowed in a selector
+   *          replaced by '-'
+   */
+  function sectionId(search) {
+    return 'results-' + search.replace(/[^\w-]+/g, '-');
+  }
 
   /**
    * Check whether a fetch result is in the ok status range.
@@ -0,0 +1,241 @@
+/**
+ * Parses the rewritten query Solr returns in "debug.parsedquery" and
+ * "debug.parsedquery_toString" into a tree of typed clauses (boolean, dismax,
+ * term, phrase, synonym, range, function and other). Each clause keeps how it
+ * must occur, its boost, and the field and terms it searches, so the interface
+ * can show how a search was rewritten before it was scored. Like the explain
+ * parser, nothing here touches the page.
+ */
+'use strict';
+
+const queryParser = (function () {
+
+  const OCCURS = {'+': 'must', '-': 'must not', '#': 'filter'};
+
+  // queries that wrap another query, scored by a function (the boost param)
+  const BOOSTED = /^(FunctionScoreQuery|BoostedQuery)\(/;
+
+  // queries whose arguments are kept as written rather than parsed
+  const WRAPPERS = /^(FunctionQuery|ConstantScore|ToParentBlockJoinQuery|SpanNearQuery|\w+Query)\s?\(/;
+
+  /**
+   * Parses a query as written by Lucene's Query.toString().
+   * @param {String} text - e.g. '+(title:align^2.0 | body:align)~0.1 color:black'
+   * @returns {Object} the root clause
+   */
+  function parse(text) {
+    const state = {text: text.trim(), pos: 0};
+    const clauses = parseClauses(state, '');
+    if (clauses.length === 1 && clauses[0].occur === 'should') {
+      return clauses[0];
+    }
+    return {type: 'boolean', occur: 'should', boost: null, mm: null, children: clauses};
+  }
+
+  /**
+   * Parses clauses until the closing character or the end of the text. Dismax
+   * clauses are separated by "|", boolean clauses by spaces.
+   * @param {Object} state - the text and the position reached in it
+   * @param {String} close - the character that ends the clauses, if any
+   * @returns {Array} the clauses, marked with state.dismax if "|" was seen
+   */
+  function parseClauses(state, close) {
+    const clauses = [];
+    state.dismax = false;
+    skipSpace(state);
+    while (state.pos < state.text.length && state.text[state.pos] !== close) {
+      if (state.text[state.pos] === '|') {
+        state.dismax = true;
+        state.pos++;
+      } else {
+        // nested groups track their own separators
+        const dismax = state.dismax;
+        clauses.push(parseClause(state));
+        state.dismax = dismax;
+      }
+      skipSpace(state);
+    }
+    return clauses;
+  }
+
+  /**
+   * Parses one clause, with its occur prefix and any slop, minimum match,
+   * tie breaker or boost suffix.
+   * @param {Object} state - the text and the position reached in it
+   * @returns {Object} the clause
+   */
+  function parseClause(state) {
+    const occur = OCCURS[state.text[state.pos]] || 'should';
+    if (OCCURS[state.text[state.pos]]) {
+      state.pos++;
+    }
+    const rest = state.text.slice(state.pos);
+    let clause;
+    let match;
+    if ((match = rest.match(/^DisjunctionMaxQuery\(/))) {
+      state.pos += match[0].length;
+      const group = parseGroup(state);
+      clause = {type: 'dismax', tieBreaker: 0, children: group.children};
+      // the tie breaker is written inside, e.g. DisjunctionMaxQuery((a | b)~0.1)
+      if ((match = state.text.slice(state.pos).match(/^~([\d.]+)/))) {
+        state.pos += match[0].length;
+        clause.tieBreaker = parseFloat(match[1]);
+      }
+      expect(state, ')');
+    } else if ((match = rest.match(BOOSTED))) {
+      state.pos += match[0].length;
+      clause = boostedQuery(match[1], balanced(state));
+    } else if (rest.startsWith('(')) {
+      clause = parseGroup(state);
+    } else if ((match = rest.match(/^Synonym\(/))) {
+      state.pos += match[0].length;
+      const terms = parseClauses(state, ')');
+      expect(state, ')');
+      clause = {type: 'synonym', field: terms.length ? terms[0].field : '',
+        terms: terms.map(term => term.terms[0]), children: []};
+    } else if ((match = rest.match(WRAPPERS))) {
+      state.pos += match[0].length;
+      const text = balanced(state);
+      clause = {type: 'function', name: match[1], text, label: `${match[1]}(${text})`, children: []};
+    } else {
+      clause = parseTerm(state);
+    }
+
+    clause.occur = occur;
+    clause.boost = null;
+    if ((match = state.text.slice(state.pos).match(/^~([\d.]+)/))) {
+      state.pos += match[0].length;
+      const value = parseFloat(match[1]);
+      if (clause.type === 'phrase') clause.slop = value;
+      else if (clause.type === 'dismax') clause.tieBreaker = value;
+      else if (clause.type === 'boolean') clause.mm = value;
+    }
+    if ((match = state.text.slice(state.pos).match(/^\^([\d.]+)/))) {
+      state.pos += match[0].length;
+      clause.boost = parseFloat(match[1]);
+    }
+    return clause;
+  }
+
+  /**
+   * Parses a parenthesized group of clauses as a boolean or dismax clause.
+   * @param {Object} state - the text, positioned at the opening parenthesis
+   * @returns {Object} the boolean or dismax clause
+   */
+  function parseGroup(state) {
+    expect(state, '(');
+    const children = parseClauses(state, ')');
+    const type = state.dismax ? 'dismax' : 'boolean';
+    expect(state, ')');
+    return type === 'dismax' ?
+      {type, tieBreaker: 0, children} : {type, mm: null, children};
+  }
+
+  /**
+   * Parses a field:value clause, where the value is a term, a quoted phrase or
+   * a range. A value without a field is kept as an other clause.
+   * @param {Object} state - the text and the position reached in it
+   * @returns {Object} the term, phrase, range or other clause
+   */
+  function parseTerm(state) {
+    const rest = state.text.slice(state.pos);
+    const field = rest.match(/^([\w.*-]+):(?=\S)/);
+    if (field) {
+      state.pos += field[0].length;
+    }
+    const value = state.text.slice(state.pos);
+    let match;
+    let clause;
+    if ((match = value.match(/^"((?:[^"\\]|\\.)*)"/))) {
+      clause = {type: 'phrase', terms: match[1].split(' '), slop: 0};
+    } else if ((match = value.match(/^[[{].*? TO .*?[\]}]/))) {
+      clause = {type: 'range', terms: [match[0]]};
+    } else {
+      match = value.match(/^(?:\\.|[^\s()|^~])+(?:~\d+(?![.\d]))?/) || value.match(/^\S/);
+      clause = {type: field ? 'term' : 'other', terms: [match[0]]};
+    }
+    state.pos += match[0].length;
+    clause.field = field ? field[1] : '';
+    clause.children = [];
+    return clause;
+  }
+
+  /**
+   * Parses a query wrapped in a function score, e.g.
+   * "FunctionScoreQuery(+title:align, scored by boost(popularity))". The
+   * wrapped query is kept as the only child; the function is kept as text.
+   * @param {String} name - the wrapper query
+   * @param {String} args - everything inside the wrapper
+   * @returns {Object} the function clause
+   */
+  function boostedQuery(name, args) {
+    const comma = topLevelComma(args);
+    const query = comma === -1 ? args : args.slice(0, comma);
+    const text = comma === -1 ? '' : args.slice(comma + 1).trim().replace(/^scored by /, '');
+    return {type: 'function', name, text, label: text ? `${name}, scored by ${text}` : name,
+      children: [parse(query)]};
+  }
+
+  /**
+   * Finds the first comma outside of any parentheses or quotes.
+   * @param {String} text - the text to search
+   * @returns {Number} the index of the comma, or -1 if there is none
+   */
+  function topLevelComma(text) {
+    let depth = 0;
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (char === '"' && text[i - 1] !== '\\') quoted = !quoted;
+      if (quoted) continue;
+      if (char === '(') depth++;
+      if (char === ')') depth--;
+      if (char === ',' && depth === 0) return i;
+    }
+    return -1;
+  }
+
+  /**
+   * Reads the arguments of a wrapper query up to its matching parenthesis.
+   * @param {Object} state - the text, positioned just inside the parenthesis
+   * @returns {String} the arguments as written
+   */
+  function balanced(state) {
+    const start = state.pos;
+    let depth = 1;
+    while (state.pos < state.text.length) {
+      const char = state.text[state.pos++];
+      if (char === '(') depth++;
+      if (char === ')' && --depth === 0) break;
+    }
+    return state.text.slice(start, depth === 0 ? state.pos - 1 : state.pos);
+  }
+
+  /**
+   * Moves past an expected character, if it is next.
+   * @param {Object} state - the text and the position reached in it
+   * @param {String} char - the expected character
+   */
+  function expect(state, char) {
+    skipSpace(state);
+    if (state.text[state.pos] === char) {
+      state.pos++;
+    }
+  }
+
+  /**
+   * Moves past any whitespace.
+   * @param {Object} state - the text and the position reached in it
+   */
+  function skipSpace(state) {
+    while (/\s/.test(state.text[state.pos] || '')) {
+      state.pos++;
+    }
+  }
+
+  return {parse};
+})();
+
+if (typeof module !== 'undefined') {
+  module.exports = queryParser;
+}
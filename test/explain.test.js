@@ -0,0 +1,200 @@
+/**
+ * Tests the explain parser against score explanations as Solr returns them in
+ * "debug.explain" with debug.explain.structured=true, for BM25 (Lucene 8 and
+ * later), legacy BM25 (Lucene 6 and 7) and classic TF-IDF similarities.
+ * Run with "node --test test/".
+ */
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const explainParser = require('../explain.js');
+
+// title:align in a BM25 scored document, summed with a bf function boost
+const BM25 = {
+  'match': true,
+  'value': 2.8571947,
+  'description': 'sum of:',
+  'details': [{
+    'match': true,
+    'value': 2.3571947,
+    'description': 'weight(title:align in 12) [SchemaSimilarity], result of:',
+    'details': [{
+      'match': true,
+      'value': 2.3571947,
+      'description': 'score(freq=1.0), computed as boost * idf * tf from:',
+      'details': [
+        {'match': true, 'value': 2.0, 'description': 'boost', 'details': []},
+        {'match': true, 'value': 2.4750543, 'description': 'idf, computed as log(1 + (N - n + 0.5) / (n + 0.5)) from:', 'details': [
+          {'match': true, 'value': 8, 'description': 'n, number of documents containing term', 'details': []},
+          {'match': true, 'value': 100, 'description': 'N, total number of documents with field', 'details': []}
+        ]},
+        {'match': true, 'value': 0.47619048, 'description': 'tf, computed as freq / (freq + k1 * (1 - b + b * dl / avgdl)) from:', 'details': [
+          {'match': true, 'value': 1.0, 'description': 'freq, occurrences of term within document', 'details': []},
+          {'match': true, 'value': 1.2, 'description': 'k1, term saturation parameter', 'details': []},
+          {'match': true, 'value': 0.75, 'description': 'b, length normalization parameter', 'details': []},
+          {'match': true, 'value': 4.0, 'description': 'dl, length of field', 'details': []},
+          {'match': true, 'value': 4.5, 'description': 'avgdl, average length of field', 'details': []}
+        ]}
+      ]
+    }]
+  }, {
+    'match': true,
+    'value': 0.5,
+    'description': 'FunctionQuery(log(int(popularity_i))), product of:',
+    'details': [
+      {'match': true, 'value': 0.5, 'description': 'log(int(popularity_i)=3)', 'details': []},
+      {'match': true, 'value': 1.0, 'description': 'boost', 'details': []}
+    ]
+  }]
+};
+
+// the same match scored by Lucene 7's BM25, which multiplies tf by (k1 + 1)
+const LEGACY_BM25 = {
+  'match': true,
+  'value': 5.185828,
+  'description': 'weight(title:align in 12) [SchemaSimilarity], result of:',
+  'details': [{
+    'match': true,
+    'value': 5.185828,
+    'description': 'score(doc=12,freq=1.0 = termFreq=1.0\n), product of:',
+    'details': [
+      {'match': true, 'value': 2.0, 'description': 'boost', 'details': []},
+      {'match': true, 'value': 2.4750543, 'description': 'idf, computed as log(1 + (docCount - docFreq + 0.5) / (docFreq + 0.5)) from:', 'details': [
+        {'match': true, 'value': 8.0, 'description': 'docFreq', 'details': []},
+        {'match': true, 'value': 100.0, 'description': 'docCount', 'details': []}
+      ]},
+      {'match': true, 'value': 1.047619, 'description': 'tfNorm, computed as (freq * (k1 + 1)) / (freq + k1 * (1 - b + b * fieldLength / avgFieldLength)) from:', 'details': [
+        {'match': true, 'value': 1.0, 'description': 'termFreq=1.0', 'details': []},
+        {'match': true, 'value': 1.2, 'description': 'parameter k1', 'details': []},
+        {'match': true, 'value': 0.75, 'description': 'parameter b', 'details': []},
+        {'match': true, 'value': 4.5, 'description': 'avgFieldLength', 'details': []},
+        {'match': true, 'value': 4.0, 'description': 'fieldLength', 'details': []}
+      ]}
+    ]
+  }]
+};
+
+// the same match scored by ClassicSimilarity
+const TF_IDF = {
+  'match': true,
+  'value': 1.6424808,
+  'description': 'weight(title:align in 12) [ClassicSimilarity], result of:',
+  'details': [{
+    'match': true,
+    'value': 1.6424808,
+    'description': 'score(doc=12,freq=2.0 = termFreq=2.0\n), product of:',
+    'details': [{
+      'match': true,
+      'value': 0.68158912,
+      'description': 'queryWeight, product of:',
+      'details': [
+        {'match': true, 'value': 3.4079456, 'description': 'idf(docFreq=8, docCount=100)', 'details': []},
+        {'match': true, 'value': 0.2, 'description': 'queryNorm', 'details': []}
+      ]
+    }, {
+      'match': true,
+      'value': 2.4097815,
+      'description': 'fieldWeight in 12, product of:',
+      'details': [
+        {'match': true, 'value': 1.4142135, 'description': 'tf(freq=2.0), with freq of:', 'details': [
+          {'match': true, 'value': 2.0, 'description': 'termFreq=2.0', 'details': []}
+        ]},
+        {'match': true, 'value': 3.4079456, 'description': 'idf(docFreq=8, docCount=100)', 'details': []},
+        {'match': true, 'value': 0.5, 'description': 'fieldNorm(doc=12)', 'details': []}
+      ]
+    }]
+  }]
+};
+
+/**
+ * Checks that two scores match to the precision Solr reports them with.
+ * @param {Number} actual - the computed score
+ * @param {Number} expected - the expected score
+ */
+function assertClose(actual, expected) {
+  assert.ok(Math.abs(actual - expected) < 1e-5, `expected ${expected}, got ${actual}`);
+}
+
+test('BM25 weights are typed with their field, terms and params', () => {
+  const tree = explainParser.parse(BM25);
+  assert.strictEqual(tree.type, 'sum');
+
+  const [weight] = explainParser.findAll(tree, 'weight');
+  assert.strictEqual(weight.field, 'title');
+  assert.deepStrictEqual(weight.terms, ['align']);
+  assert.strictEqual(weight.similarity, 'SchemaSimilarity');
+  assert.strictEqual(explainParser.find(weight, 'score').type, 'score');
+  assert.strictEqual(explainParser.find(weight, 'boost').value, 2.0);
+  assert.deepStrictEqual(explainParser.find(weight, 'idf').params, {n: 8, N: 100});
+  assert.deepStrictEqual(explainParser.find(weight, 'tf').params,
+    {freq: 1.0, k1: 1.2, b: 0.75, dl: 4.0, avgdl: 4.5});
+});
+
+test('function query boosts are labelled by their fields', () => {
+  const [boost] = explainParser.findAll(explainParser.parse(BM25), 'function');
+  assert.strictEqual(boost.name, 'log');
+  assert.strictEqual(boost.label, 'log(popularity_i)');
+  assert.strictEqual(explainParser.isSignal(boost), false);
+});
+
+test('legacy BM25 params are normalized to the BM25 names', () => {
+  const tree = explainParser.parse(LEGACY_BM25);
+  assert.strictEqual(tree.type, 'weight');
+  assert.deepStrictEqual(explainParser.find(tree, 'idf').params, {n: 8, N: 100});
+  assert.deepStrictEqual(explainParser.find(tree, 'tf').params,
+    {freq: 1.0, k1: 1.2, b: 0.75, avgdl: 4.5, dl: 4.0});
+});
+
+test('classic TF-IDF reads inline idf counts and norms', () => {
+  const tree = explainParser.parse(TF_IDF);
+  assert.strictEqual(tree.similarity, 'ClassicSimilarity');
+  const idfs = explainParser.findAll(tree, 'idf');
+  assert.strictEqual(idfs.length, 2);
+  assert.deepStrictEqual(idfs[0].params, {n: 8, N: 100});
+  assert.deepStrictEqual(explainParser.find(tree, 'tf').params, {freq: 2.0});
+  const norms = explainParser.findAll(tree, 'param').map(param => param.name);
+  assert.ok(norms.includes('queryNorm'));
+  assert.ok(norms.includes('fieldNorm'));
+});
+
+test('flattened details parse to the same tree', () => {
+  const details = [[1, BM25.description, BM25.value]];
+  (function flatten(node, depth) {
+    for (const child of node.details) {
+      details.push([depth + 1, child.description, child.value]);
+      flatten(child, depth + 1);
+    }
+  })(BM25, 1);
+  const strip = node => ({type: node.type, value: node.value, children: node.children.map(strip)});
+  assert.deepStrictEqual(strip(explainParser.fromDetails(details)), strip(explainParser.parse(BM25)));
+});
+
+test('rescore keeps the score when nothing changes', () => {
+  for (const explanation of [BM25, LEGACY_BM25, TF_IDF]) {
+    const tree = explainParser.parse(explanation);
+    assert.strictEqual(explainParser.rescore(tree, {}), explanation.value);
+    assert.strictEqual(explainParser.rescore(tree, {other: {k1: 2}}), explanation.value);
+  }
+});
+
+test('rescore applies a new boost through sums and products', () => {
+  const tree = explainParser.parse(BM25);
+  // the weight doubles with the boost; the function boost is unchanged
+  assertClose(explainParser.rescore(tree, {title: {boosts: {2: 4}}}), 2.3571947 * 2 + 0.5);
+});
+
+test('rescore recomputes BM25 term frequency with new k1 and b', () => {
+  // with b = 0 length doesn't matter: tf = freq / (freq + k1)
+  const bm25 = explainParser.parse(BM25);
+  assertClose(explainParser.rescore(bm25, {title: {k1: 2, b: 0}}), 2.0 * 2.4750543 / 3 + 0.5);
+
+  // legacy BM25 also multiplies by (k1 + 1)
+  const legacy = explainParser.parse(LEGACY_BM25);
+  assertClose(explainParser.rescore(legacy, {title: {k1: 2, b: 0}}), 2.0 * 2.4750543);
+});
+
+test('rescore leaves classic TF-IDF term frequency alone', () => {
+  const tree = explainParser.parse(TF_IDF);
+  assert.strictEqual(explainParser.rescore(tree, {title: {k1: 2, b: 0}}), TF_IDF.value);
+});
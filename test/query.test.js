@@ -0,0 +1,55 @@
+/**
+ * Tests the query parser against rewritten queries as Solr returns them in
+ * "debug.parsedquery_toString". Run with "node --test test/".
+ */
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const queryParser = require('../query.js');
+
+// an edismax query over two fields, with minimum match and a tie breaker
+const EDISMAX = '+(DisjunctionMaxQuery((title:align^2.0 | body:align)~0.1) ' +
+  'DisjunctionMaxQuery((title:pant^2.0 | body:pant)~0.1))~1';
+
+test('edismax clauses keep their minimum match and tie breakers', () => {
+  // a lone required clause is kept inside the root, to show how it must occur
+  const [root] = queryParser.parse(EDISMAX).children;
+  assert.strictEqual(root.type, 'boolean');
+  assert.strictEqual(root.occur, 'must');
+  assert.strictEqual(root.mm, 1);
+  assert.strictEqual(root.children.length, 2);
+  for (const dismax of root.children) {
+    assert.strictEqual(dismax.type, 'dismax');
+    assert.strictEqual(dismax.tieBreaker, 0.1);
+    assert.deepStrictEqual(dismax.children.map(term => [term.field, term.boost]),
+      [['title', 2.0], ['body', null]]);
+  }
+});
+
+test('a boost param wraps the query, which is still parsed', () => {
+  const root = queryParser.parse(`FunctionScoreQuery(${EDISMAX}, ` +
+    'scored by boost(product(query(color:black,def=0.0),1.5)))');
+  assert.strictEqual(root.type, 'function');
+  assert.strictEqual(root.name, 'FunctionScoreQuery');
+  assert.strictEqual(root.text, 'boost(product(query(color:black,def=0.0),1.5))');
+  const [query] = root.children[0].children;
+  assert.strictEqual(query.mm, 1);
+  assert.strictEqual(query.children[0].type, 'dismax');
+});
+
+test('phrases, synonyms and ranges are typed', () => {
+  const root = queryParser.parse('title:"align pant"~2 Synonym(body:pant body:trouser) ' +
+    '-price:[10 TO 50] #color:black');
+  assert.deepStrictEqual(root.children.map(clause => [clause.occur, clause.type]),
+    [['should', 'phrase'], ['should', 'synonym'], ['must not', 'range'], ['filter', 'term']]);
+  assert.strictEqual(root.children[0].slop, 2);
+  assert.deepStrictEqual(root.children[1].terms, ['pant', 'trouser']);
+});
+
+test('other wrapped queries are kept as written', () => {
+  const root = queryParser.parse('ConstantScore(title:align)^3.0');
+  assert.strictEqual(root.type, 'function');
+  assert.strictEqual(root.label, 'ConstantScore(title:align)');
+  assert.strictEqual(root.boost, 3.0);
+});